@@ -0,0 +1,108 @@
+const { createStore } = require('./store');
+
+// What each staff member was last sent about an event when assignments are consolidated,
+// so a re-send can tell them what changed instead of repeating everything.
+const store = createStore('assignments', { firms: {} }); // firmId -> { eventId -> { staffId -> snapshot } }
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+const getEventDate = (event) => event.eventDate || event.event_date || null;
+
+const addDays = (dateString, days) => new Date(new Date(`${dateString}T00:00:00Z`).getTime() + days * DAY_MS).toISOString().slice(0, 10);
+
+// Every day of the event, in the staff member's own role. Events without a plain date are a single day.
+const getEventDays = (event, staff) => {
+  const eventDate = getEventDate(event);
+  const role = event.role || staff.role;
+  if (typeof eventDate !== 'string' || !/^\d{4}-\d{2}-\d{2}$/.test(eventDate)) return [{ day_number: 1, day_date: eventDate, role }];
+  const totalDays = event.totalDays || event.total_days || 1;
+  return Array.from({ length: totalDays }, (_, i) => ({ day_number: i + 1, day_date: addDays(eventDate, i), role }));
+};
+
+// A staff member's assigned days, or every day of the event when they have no day assignments.
+// Messages, snapshots, reminders and calendar invites all use this, so they always cover the same days.
+const resolveDays = (event, staff, assignments) => {
+  const days = Array.isArray(assignments) && assignments.length > 0 ? assignments : getEventDays(event, staff);
+  return days
+    .map(day => ({
+      day_number: day.day_number,
+      day_date: day.day_date || null,
+      role: (day.role || 'STAFF').toUpperCase(),
+      start_time: day.start_time || null
+    }))
+    .sort((a, b) => a.day_number - b.day_number);
+};
+
+const buildSnapshot = (event, staff, days) => ({
+  staff_id: staff.id,
+  staff_name: staff.full_name,
+  number: staff.mobile_number,
+  event: {
+    title: event.title || null,
+    event_date: getEventDate(event),
+    total_days: event.totalDays || event.total_days || 1,
+    venue: event.venue || null
+  },
+  days
+});
+
+const getEventSnapshots = (firmId, eventId) => (store.data.firms[firmId] || {})[eventId] || {};
+
+const getSnapshot = (firmId, eventId, staffId) => getEventSnapshots(firmId, eventId)[staffId] || null;
+
+const listSnapshots = (firmId, eventId) => Object.values(getEventSnapshots(firmId, eventId));
+
+const saveSnapshot = (firmId, eventId, snapshot) => {
+  const firm = store.data.firms[firmId] || {};
+  firm[eventId] = { ...getEventSnapshots(firmId, eventId), [snapshot.staff_id]: { ...snapshot, sent_at: new Date().toISOString() } };
+  store.data.firms[firmId] = firm;
+  store.save();
+};
+
+const removeSnapshot = (firmId, eventId, staffId) => {
+  const snapshots = getEventSnapshots(firmId, eventId);
+  if (!snapshots[staffId]) return;
+  delete snapshots[staffId];
+  if (Object.keys(snapshots).length === 0) delete store.data.firms[firmId][eventId];
+  store.save();
+};
+
+// Differences between what a staff member was told and what they are assigned now, in schedule order:
+// { type: 'day_added' | 'day_removed', day }, { type: 'role' | 'day_date' | 'start_time', day_number, from, to }
+// and { type: 'venue' | 'event_date', from, to }
+const diffSnapshots = (previous, current) => {
+  const changes = [];
+  const previousDays = new Map(previous.days.map(day => [day.day_number, day]));
+  const currentDays = new Map(current.days.map(day => [day.day_number, day]));
+  const dayNumbers = Array.from(new Set([...previousDays.keys(), ...currentDays.keys()])).sort((a, b) => a - b);
+
+  dayNumbers.forEach(dayNumber => {
+    const before = previousDays.get(dayNumber);
+    const after = currentDays.get(dayNumber);
+    if (!before) return changes.push({ type: 'day_added', day: after });
+    if (!after) return changes.push({ type: 'day_removed', day: before });
+    ['role', 'day_date', 'start_time'].forEach(field => {
+      if (before[field] !== after[field]) changes.push({ type: field, day_number: dayNumber, from: before[field], to: after[field] });
+    });
+  });
+
+  if (previous.event.venue !== current.event.venue) {
+    changes.push({ type: 'venue', from: previous.event.venue, to: current.event.venue });
+  }
+  // Day dates already say when each day moved, the event date only matters when they are not given
+  const eventMoved = previous.event.event_date !== current.event.event_date || previous.event.total_days !== current.event.total_days;
+  if (eventMoved && !changes.some(change => change.type === 'day_date')) {
+    changes.push({ type: 'event_date', from: previous.event.event_date, to: current.event.event_date });
+  }
+  return changes;
+};
+
+module.exports = {
+  resolveDays,
+  buildSnapshot,
+  getSnapshot,
+  listSnapshots,
+  saveSnapshot,
+  removeSnapshot,
+  diffSnapshots
+};
@@ -0,0 +1,116 @@
+const crypto = require('crypto');
+const { v4: uuidv4 } = require('uuid');
+const { createStore } = require('./store');
+
+const ADMIN_API_KEY = process.env.ADMIN_API_KEY || '';
+const KEY_PREFIX = 'wak_';
+const STREAM_TOKEN_TTL_MS = 60 * 60 * 1000;
+
+const store = createStore('api-keys', { keys: [] }); // [{ id, firm_id, hash, hint, label, created_at, revoked_at }]
+
+// Keys are random 256-bit tokens, so a plain SHA-256 is enough to keep them safe at rest
+const hashKey = (key) => crypto.createHash('sha256').update(key).digest('hex');
+
+const isAdminKey = (key) => {
+  if (!ADMIN_API_KEY || !key) return false;
+  return crypto.timingSafeEqual(Buffer.from(hashKey(key), 'hex'), Buffer.from(hashKey(ADMIN_API_KEY), 'hex'));
+};
+
+// Pull the key from `Authorization: Bearer <key>` or `X-API-Key`
+const extractKey = (req) => {
+  const header = req.get('authorization') || '';
+  if (header.toLowerCase().startsWith('bearer ')) return header.slice(7).trim();
+  return req.get('x-api-key') || null;
+};
+
+const publicKey = ({ hash, ...fields }) => fields;
+
+// Issue a new key for a firm. The plaintext key is only ever returned here.
+const createKey = (firmId, label) => {
+  const key = KEY_PREFIX + crypto.randomBytes(32).toString('hex');
+  const record = {
+    id: uuidv4(),
+    firm_id: firmId,
+    hash: hashKey(key),
+    hint: key.slice(-4),
+    label: label || null,
+    created_at: new Date().toISOString(),
+    revoked_at: null
+  };
+  store.data.keys.push(record);
+  store.save();
+  return { key, record: publicKey(record) };
+};
+
+const getKeyRecord = (keyId) => store.data.keys.find(record => record.id === keyId) || null;
+
+const listKeys = (firmId) => store.data.keys.filter(record => record.firm_id === firmId).map(publicKey);
+
+const revokeKey = (keyId) => {
+  const record = getKeyRecord(keyId);
+  if (!record || record.revoked_at) return null;
+  record.revoked_at = new Date().toISOString();
+  store.save();
+  return publicKey(record);
+};
+
+// Revoke a key and issue its replacement for the same firm and label
+const rotateKey = (keyId) => {
+  const record = getKeyRecord(keyId);
+  if (!record || record.revoked_at) return null;
+  revokeKey(keyId);
+  return createKey(record.firm_id, record.label);
+};
+
+// Resolve a presented key to { admin, firmId, keyId }, or null if it is unknown or revoked
+const resolveKey = (key) => {
+  if (!key) return null;
+  if (isAdminKey(key)) return { admin: true, firmId: null, keyId: null };
+  const hash = hashKey(key);
+  const record = store.data.keys.find(k => k.hash === hash && !k.revoked_at);
+  return record ? { admin: false, firmId: record.firm_id, keyId: record.id } : null;
+};
+
+// Browsers' EventSource cannot send headers, so the event stream also accepts a short-lived
+// token in the query string. Tokens are scoped to one firm's stream and die with the key that issued them.
+const streamTokens = new Map(); // token hash -> { firm_id, key_id, admin, expires_at }
+
+const createStreamToken = (auth, firmId) => {
+  const now = Date.now();
+  streamTokens.forEach((record, hash) => {
+    if (record.expires_at <= now) streamTokens.delete(hash);
+  });
+
+  const token = crypto.randomBytes(24).toString('hex');
+  const expiresAt = now + STREAM_TOKEN_TTL_MS;
+  streamTokens.set(hashKey(token), { firm_id: firmId, key_id: auth.keyId, admin: auth.admin, expires_at: expiresAt });
+  return { token, expires_at: new Date(expiresAt).toISOString() };
+};
+
+// Resolve a stream token to the same shape as resolveKey, limited to the token's firm
+const resolveStreamToken = (token) => {
+  if (!token) return null;
+  const record = streamTokens.get(hashKey(String(token)));
+  if (!record || record.expires_at <= Date.now()) return null;
+  if (!record.admin) {
+    const key = getKeyRecord(record.key_id);
+    if (!key || key.revoked_at) return null;
+  }
+  return { admin: false, firmId: record.firm_id, keyId: record.key_id };
+};
+
+const canAccessFirm = (auth, firmId) => Boolean(auth && (auth.admin || auth.firmId === firmId));
+
+module.exports = {
+  ADMIN_API_KEY,
+  extractKey,
+  createKey,
+  getKeyRecord,
+  listKeys,
+  revokeKey,
+  rotateKey,
+  resolveKey,
+  createStreamToken,
+  resolveStreamToken,
+  canAccessFirm
+};
@@ -0,0 +1,74 @@
+const { v4: uuidv4 } = require('uuid');
+const { createStore } = require('./store');
+
+const BATCH_RETENTION = parseInt(process.env.BATCH_RETENTION, 10) || 200; // per firm
+const TYPES = ['bulk', 'event', 'task'];
+
+// Every send request becomes a batch. Its messages carry the batch id, and progress is
+// counted from the queue so it can never drift from the messages themselves.
+const store = createStore('batches', { batches: {} }); // firmId -> [batch], newest first
+
+const getBatches = (firmId) => store.data.batches[firmId] || [];
+
+const createBatch = (firmId, { name, type, total }) => {
+  const now = new Date().toISOString();
+  const batch = {
+    id: uuidv4(),
+    name,
+    type,
+    total,
+    state: 'active', // 'active', 'paused' or 'cancelled'
+    created_at: now,
+    updated_at: now
+  };
+  store.data.batches[firmId] = [batch, ...getBatches(firmId)].slice(0, BATCH_RETENTION);
+  store.save();
+  return batch;
+};
+
+const getBatch = (firmId, batchId) => getBatches(firmId).find(batch => batch.id === batchId) || null;
+
+const listBatches = (firmId) => getBatches(firmId);
+
+const setState = (firmId, batchId, state) => {
+  const batch = getBatch(firmId, batchId);
+  if (!batch) return null;
+  const now = new Date().toISOString();
+  Object.assign(batch, { state, [`${state === 'active' ? 'resumed' : state}_at`]: now, updated_at: now });
+  store.save();
+  return batch;
+};
+
+// Batch with per-status counts of its messages. Messages pruned from the queue's
+// completed history no longer count, so `total` can exceed the sum of the counts.
+const summarize = (batch, messages) => {
+  const counts = messages.reduce((totals, message) => {
+    totals[message.status] = (totals[message.status] || 0) + 1;
+    return totals;
+  }, {});
+  const count = (...statuses) => statuses.reduce((total, status) => total + (counts[status] || 0), 0);
+  const pending = count('scheduled', 'queued', 'sending');
+
+  let status = batch.state === 'active' ? 'in_progress' : batch.state;
+  if (batch.state === 'active' && pending === 0) status = 'completed';
+
+  const { state, id, ...fields } = batch;
+  return {
+    batch_id: id,
+    ...fields,
+    status,
+    progress: {
+      scheduled: count('scheduled'),
+      queued: count('queued'),
+      sending: count('sending'),
+      sent: count('sent', 'delivered', 'read'),
+      delivered: count('delivered', 'read'),
+      read: count('read'),
+      failed: count('failed'),
+      cancelled: count('cancelled'),
+      pending
+    }
+  };
+};
+
+module.exports = { TYPES, createBatch, getBatch, listBatches, setState, summarize };
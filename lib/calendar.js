@@ -0,0 +1,151 @@
+const settings = require('./settings');
+const { zonedTimeToUtc } = require('./time');
+
+// iCalendar (RFC 5545) invites for assignments. UIDs only depend on the firm, event or task,
+// staff member and day, so a later invite for the same day replaces the earlier calendar entry.
+const PRODUCT_ID = '-//WhatsApp Bulk Messaging Service//Assignments//EN';
+const UID_DOMAIN = 'whatsapp-bulk-service';
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+const isDateOnly = (value) => typeof value === 'string' && /^\d{4}-\d{2}-\d{2}$/.test(value);
+
+const escapeText = (value) => String(value)
+  .replace(/\\/g, '\\\\')
+  .replace(/;/g, '\\;')
+  .replace(/,/g, '\\,')
+  .replace(/\r?\n/g, '\\n');
+
+// Content lines are limited to 75 octets, longer ones continue on lines starting with a space.
+// Characters are never split, so multi-byte text stays valid UTF-8.
+const foldLine = (line) => {
+  const parts = [];
+  let current = '';
+  let size = 0;
+  for (const char of line) {
+    const charSize = Buffer.byteLength(char);
+    if (size + charSize > (parts.length === 0 ? 75 : 74)) {
+      parts.push(current);
+      current = '';
+      size = 0;
+    }
+    current += char;
+    size += charSize;
+  }
+  parts.push(current);
+  return parts.join('\r\n ');
+};
+
+// 2024-01-15T04:30:00.000Z -> 20240115T043000Z
+const formatUtc = (date) => date.toISOString().replace(/[-:]/g, '').replace(/\.\d{3}/, '');
+
+// '2024-01-15' -> '20240115'
+const formatDateValue = (dateString) => dateString.replace(/-/g, '');
+
+const addDays = (dateString, days) => new Date(new Date(`${dateString}T00:00:00Z`).getTime() + days * DAY_MS).toISOString().slice(0, 10);
+
+const slugify = (text) => String(text || '').toLowerCase().replace(/[^a-z0-9]+/g, '-').replace(/^-+|-+$/g, '').slice(0, 60);
+
+const buildVevent = ({ uid, start, end, allDay, summary, location, description, status }) => {
+  const now = new Date();
+  return [
+    'BEGIN:VEVENT',
+    `UID:${uid}`,
+    `DTSTAMP:${formatUtc(now)}`,
+    // Later invites must win over earlier ones with the same UID
+    `SEQUENCE:${Math.floor(now.getTime() / 1000)}`,
+    allDay ? `DTSTART;VALUE=DATE:${formatDateValue(start)}` : `DTSTART:${formatUtc(start)}`,
+    allDay ? `DTEND;VALUE=DATE:${formatDateValue(end)}` : `DTEND:${formatUtc(end)}`,
+    `SUMMARY:${escapeText(summary)}`,
+    ...(location ? [`LOCATION:${escapeText(location)}`] : []),
+    ...(description ? [`DESCRIPTION:${escapeText(description)}`] : []),
+    `STATUS:${status}`,
+    'TRANSP:OPAQUE',
+    'END:VEVENT'
+  ];
+};
+
+const buildCalendar = (method, vevents) => [
+  'BEGIN:VCALENDAR',
+  'VERSION:2.0',
+  `PRODID:${PRODUCT_ID}`,
+  'CALSCALE:GREGORIAN',
+  `METHOD:${method}`,
+  ...vevents.flat(),
+  'END:VCALENDAR'
+].map(foldLine).join('\r\n') + '\r\n';
+
+// { filename, content } with one VEVENT per day that has a date, or null when none has.
+// `cancelledDays` are sent as cancelled entries so calendars drop them, `cancelled` cancels every day.
+const buildEventInvite = (firmId, event, staff, days, { cancelledDays = [], cancelled = false } = {}) => {
+  const { timezone } = settings.getSettings(firmId, 'locale');
+  const { event_duration_hours } = settings.getSettings(firmId, 'calendar');
+  const { default_start_time } = settings.getSettings(firmId, 'reminders');
+  const { firm_name } = settings.getSettings(firmId, 'branding');
+  const title = event.title || 'Event';
+  const multiDay = (event.totalDays || event.total_days || 1) > 1 || days.length > 1;
+
+  const toVevent = (day, status) => {
+    const startTime = day.start_time || event.start_time || event.startTime || default_start_time;
+    const start = zonedTimeToUtc(day.day_date, startTime, timezone);
+    return buildVevent({
+      uid: `event-${firmId}-${event.id}-${staff.id}-day-${day.day_number}@${UID_DOMAIN}`,
+      start,
+      end: new Date(start.getTime() + event_duration_hours * 60 * 60 * 1000),
+      summary: `${title}${multiDay ? ` - Day ${day.day_number}` : ''} (${day.role})`,
+      location: event.venue,
+      description: [
+        `Role: ${day.role}`,
+        (event.eventType || event.event_type) && `Type: ${event.eventType || event.event_type}`,
+        (event.clientName || event.client_name) && `Client: ${event.clientName || event.client_name}`,
+        event.description,
+        firm_name
+      ].filter(Boolean).join('\n'),
+      status
+    });
+  };
+
+  const vevents = [
+    ...days.filter(day => isDateOnly(day.day_date)).map(day => toVevent(day, cancelled ? 'CANCELLED' : 'CONFIRMED')),
+    ...cancelledDays.filter(day => isDateOnly(day.day_date)).map(day => toVevent(day, 'CANCELLED'))
+  ];
+  if (vevents.length === 0) return null;
+  return {
+    filename: `${slugify(title) || 'event'}.ics`,
+    content: buildCalendar(cancelled ? 'CANCEL' : 'PUBLISH', vevents)
+  };
+};
+
+// { filename, content } with an entry on the task's due date (all-day unless it has a time), or null without one
+const buildTaskInvite = (firmId, task, staff) => {
+  const dueDate = task.dueDate || task.due_date;
+  if (!dueDate) return null;
+  const allDay = isDateOnly(dueDate);
+  const due = allDay ? dueDate : new Date(dueDate);
+  if (!allDay && isNaN(due.getTime())) return null;
+
+  const { firm_name } = settings.getSettings(firmId, 'branding');
+  const title = task.title || 'Task';
+  const vevent = buildVevent({
+    uid: `task-${firmId}-${task.id}-${staff.id}@${UID_DOMAIN}`,
+    start: due,
+    end: allDay ? addDays(dueDate, 1) : due,
+    allDay,
+    summary: `Due: ${title}`,
+    location: task.venue,
+    description: [
+      `Priority: ${task.priority || 'Medium'}`,
+      (task.taskType || task.task_type) && `Type: ${task.taskType || task.task_type}`,
+      (task.eventTitle || task.event_title) && `Event: ${task.eventTitle || task.event_title}`,
+      (task.clientName || task.client_name) && `Client: ${task.clientName || task.client_name}`,
+      task.description,
+      firm_name
+    ].filter(Boolean).join('\n'),
+    status: 'CONFIRMED'
+  });
+  return {
+    filename: `${slugify(title) || 'task'}.ics`,
+    content: buildCalendar('PUBLISH', [vevent])
+  };
+};
+
+module.exports = { buildEventInvite, buildTaskInvite };
@@ -0,0 +1,10 @@
+const csvField = (value) => {
+  const text = value === null || value === undefined ? '' : String(value);
+  return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+};
+
+// CSV document with a header row, one row per object
+const toCsv = (columns, rows) =>
+  [columns.join(','), ...rows.map(row => columns.map(column => csvField(row[column])).join(','))].join('\n') + '\n';
+
+module.exports = { toCsv };
@@ -0,0 +1,52 @@
+const BUFFER_SIZE = parseInt(process.env.EVENT_STREAM_BUFFER, 10) || 200; // per firm
+
+// Event ids increase across restarts, so an id from before this boot is recognisably stale
+const BOOT_ID = Date.now();
+let lastId = BOOT_ID;
+
+const buffers = new Map(); // firmId -> recent events, oldest first
+const droppedThrough = new Map(); // firmId -> id of the newest event pushed out of the buffer
+const subscribers = new Map(); // firmId -> Set(listener)
+
+const publish = (firmId, event, data) => {
+  const entry = { id: ++lastId, event, data, timestamp: new Date().toISOString() };
+
+  if (!buffers.has(firmId)) buffers.set(firmId, []);
+  const buffer = buffers.get(firmId);
+  buffer.push(entry);
+  if (buffer.length > BUFFER_SIZE) droppedThrough.set(firmId, buffer.shift().id);
+
+  (subscribers.get(firmId) || []).forEach(listener => {
+    try {
+      listener(entry);
+    } catch (error) {
+      console.error(`❌ Event stream listener failed for firm ${firmId}:`, error.message);
+    }
+  });
+  return entry;
+};
+
+// Returns an unsubscribe function
+const subscribe = (firmId, listener) => {
+  if (!subscribers.has(firmId)) subscribers.set(firmId, new Set());
+  subscribers.get(firmId).add(listener);
+  return () => {
+    const listeners = subscribers.get(firmId);
+    listeners.delete(listener);
+    if (listeners.size === 0) subscribers.delete(firmId);
+  };
+};
+
+const hasSubscribers = (firmId) => subscribers.has(firmId);
+
+const getLastId = () => lastId;
+
+// Events published after `lastEventId`, or null when some of them are no longer buffered
+// (or were lost in a restart) and the client has to start over from a snapshot
+const getEventsSince = (firmId, lastEventId) => {
+  const id = Number(lastEventId);
+  if (!Number.isInteger(id) || id < BOOT_ID || id > lastId || id < (droppedThrough.get(firmId) || 0)) return null;
+  return (buffers.get(firmId) || []).filter(entry => entry.id > id);
+};
+
+module.exports = { publish, subscribe, hasSubscribers, getLastId, getEventsSince };
@@ -0,0 +1,70 @@
+const { createStore } = require('./store');
+
+// Group chat ids are `<digits>@g.us`, older groups `<creator digits>-<timestamp>@g.us`
+const GROUP_ID_PATTERN = /^\d+(-\d+)?@g\.us$/;
+const MAX_NAME_LENGTH = 100;
+
+// The crew group created for each event, and which members the service put in it. Only those
+// are ever removed again, so people a firm adds to the group by hand stay in.
+const store = createStore('groups', { firms: {} }); // firmId -> { eventId -> crew group }
+
+// Accepts a full group id or just the part before `@g.us`, returns { group_id } or { error }
+const normalizeGroupId = (value) => {
+  if ((typeof value !== 'string' && typeof value !== 'number') || String(value).trim() === '') {
+    return { error: 'Group id is required' };
+  }
+  const id = String(value).trim();
+  const groupId = id.includes('@') ? id : `${id}@g.us`;
+  if (!GROUP_ID_PATTERN.test(groupId)) return { error: `Invalid group id: ${value}` };
+  return { group_id: groupId };
+};
+
+const getCrewGroups = (firmId) => store.data.firms[firmId] || {};
+
+const getCrewGroup = (firmId, eventId) => getCrewGroups(firmId)[eventId] || null;
+
+// Newest first
+const listCrewGroups = (firmId) => Object.values(getCrewGroups(firmId))
+  .sort((a, b) => b.created_at.localeCompare(a.created_at));
+
+// The event whose crew group this is, or null
+const findCrewEvent = (firmId, groupId) => {
+  const crewGroup = Object.values(getCrewGroups(firmId)).find(entry => entry.group_id === groupId);
+  return crewGroup ? crewGroup.event_id : null;
+};
+
+const saveCrewGroup = (firmId, eventId, { group_id, name, members }) => {
+  const existing = getCrewGroup(firmId, eventId);
+  const now = new Date().toISOString();
+  const crewGroup = {
+    event_id: eventId,
+    group_id,
+    name,
+    members,
+    // A replacement group (the old one was left or deleted) counts as new
+    created_at: existing && existing.group_id === group_id ? existing.created_at : now,
+    updated_at: now
+  };
+  store.data.firms[firmId] = { ...getCrewGroups(firmId), [eventId]: crewGroup };
+  store.save();
+  return crewGroup;
+};
+
+// Forget an event's crew group, the WhatsApp group itself is left alone. Returns the removed entry or null.
+const removeCrewGroup = (firmId, eventId) => {
+  const crewGroup = getCrewGroup(firmId, eventId);
+  if (!crewGroup) return null;
+  delete store.data.firms[firmId][eventId];
+  store.save();
+  return crewGroup;
+};
+
+module.exports = {
+  MAX_NAME_LENGTH,
+  normalizeGroupId,
+  getCrewGroup,
+  listCrewGroups,
+  findCrewEvent,
+  saveCrewGroup,
+  removeCrewGroup
+};
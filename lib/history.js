@@ -0,0 +1,193 @@
+const fs = require('fs');
+const path = require('path');
+const { DATA_DIR } = require('./store');
+const settings = require('./settings');
+const csv = require('./csv');
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+const FINAL_STATUSES = ['sent', 'delivered', 'read', 'failed', 'cancelled'];
+// Records kept per firm, the oldest finished ones go first once a firm has more
+const MAX_ENTRIES = parseInt(process.env.HISTORY_MAX_ENTRIES, 10) || 50000;
+
+// Every message ever queued, with its latest state. The queue forgets finished messages
+// after a while, this keeps them until the firm's `history.retention_days` have passed.
+// Each firm has an append-only log (`DATA_DIR/history/<firm>.jsonl`) with one line per change,
+// replayed on load so the last line for a message wins. Logs are rewritten with just the
+// current records on purge and whenever superseded lines pile up.
+const HISTORY_DIR = path.join(DATA_DIR, 'history');
+
+const firms = {}; // firmId -> [record], oldest first
+const indexes = new Map(); // firmId -> Map(messageId -> record)
+const lineCounts = new Map(); // firmId -> lines in the firm's log
+
+const getLogPath = (firmId) => path.join(HISTORY_DIR, `${encodeURIComponent(firmId)}.jsonl`);
+
+const getRecords = (firmId) => firms[firmId] || [];
+
+const getIndex = (firmId) => {
+  if (!indexes.has(firmId)) indexes.set(firmId, new Map(getRecords(firmId).map(record => [record.id, record])));
+  return indexes.get(firmId);
+};
+
+// Once a firm is over MAX_ENTRIES drop its oldest finished records, down to 90% of the limit so the
+// log is not rewritten on every new message. Messages still waiting to be sent always stay.
+// Returns how many records went.
+const trim = (firmId) => {
+  const records = getRecords(firmId);
+  if (records.length <= MAX_ENTRIES) return 0;
+  let excess = records.length - Math.floor(MAX_ENTRIES * 0.9);
+  firms[firmId] = records.filter(entry => {
+    if (excess > 0 && FINAL_STATUSES.includes(entry.status)) {
+      excess--;
+      return false;
+    }
+    return true;
+  });
+  indexes.delete(firmId);
+  return records.length - firms[firmId].length;
+};
+
+// Rewrite the firm's log with one line per current record
+const compact = (firmId) => {
+  try {
+    fs.mkdirSync(HISTORY_DIR, { recursive: true });
+    const logPath = getLogPath(firmId);
+    const tmpPath = `${logPath}.tmp`;
+    const records = getRecords(firmId);
+    fs.writeFileSync(tmpPath, records.map(entry => `${JSON.stringify(entry)}\n`).join(''));
+    fs.renameSync(tmpPath, logPath);
+    lineCounts.set(firmId, records.length);
+  } catch (error) {
+    console.error(`❌ Failed to compact history for firm ${firmId}:`, error.message);
+  }
+};
+
+// Superseded lines are only cleaned up once they outnumber the records
+const compactIfBloated = (firmId) => {
+  if ((lineCounts.get(firmId) || 0) > getRecords(firmId).length * 2 + 1000) compact(firmId);
+};
+
+const load = () => {
+  if (!fs.existsSync(HISTORY_DIR)) return;
+  fs.readdirSync(HISTORY_DIR).filter(file => file.endsWith('.jsonl')).forEach(file => {
+    const firmId = decodeURIComponent(path.basename(file, '.jsonl'));
+    try {
+      const lines = fs.readFileSync(path.join(HISTORY_DIR, file), 'utf8').split('\n').filter(Boolean);
+      firms[firmId] = [];
+      const index = getIndex(firmId);
+      lines.forEach(line => {
+        let entry;
+        try {
+          entry = JSON.parse(line);
+        } catch (error) {
+          return; // A line cut short by a crash mid-append
+        }
+        const existing = index.get(entry.id);
+        if (existing) {
+          Object.assign(existing, entry);
+          return;
+        }
+        firms[firmId].push(entry);
+        index.set(entry.id, entry);
+      });
+      lineCounts.set(firmId, lines.length);
+      if (trim(firmId) > 0) {
+        compact(firmId);
+      } else {
+        compactIfBloated(firmId);
+      }
+    } catch (error) {
+      console.error(`❌ Failed to load history for firm ${firmId}:`, error.message);
+    }
+  });
+};
+
+load();
+
+// Copy the current state of queue messages into the history, appending one line per message
+const record = (firmId, messages) => {
+  const index = getIndex(firmId);
+  const records = getRecords(firmId);
+  const lines = messages.map(message => {
+    const existing = index.get(message.id);
+    if (existing) {
+      Object.assign(existing, message);
+    } else {
+      const entry = { ...message };
+      records.push(entry);
+      index.set(entry.id, entry);
+    }
+    return `${JSON.stringify(index.get(message.id))}\n`;
+  });
+  firms[firmId] = records;
+
+  try {
+    fs.mkdirSync(HISTORY_DIR, { recursive: true });
+    fs.appendFileSync(getLogPath(firmId), lines.join(''));
+    lineCounts.set(firmId, (lineCounts.get(firmId) || 0) + lines.length);
+  } catch (error) {
+    console.error(`❌ Failed to append history for firm ${firmId}:`, error.message);
+  }
+
+  // Trimmed records would come back when the log is replayed, so the log is rewritten without them
+  if (trim(firmId) > 0) {
+    compact(firmId);
+  } else {
+    compactIfBloated(firmId);
+  }
+};
+
+const includesText = (value, text) => typeof value === 'string' && value.toLowerCase().includes(text);
+
+// Records matching every given filter, newest first. `status` and `type` accept comma-separated
+// lists, `from`/`to` bound when the message was queued and `text` searches the message body.
+const search = (firmId, { number, group_id, staff_id, event_id, task_id, batch_id, type, status, from, to, text } = {}) => {
+  const statuses = status ? String(status).split(',') : null;
+  const types = type ? String(type).split(',') : null;
+  const fromTime = from ? new Date(from).getTime() : null;
+  const toTime = to ? new Date(to).getTime() : null;
+  const needle = text ? String(text).toLowerCase() : null;
+
+  return getRecords(firmId)
+    .filter(entry => {
+      const queuedAt = new Date(entry.timestamp).getTime();
+      return (!number || entry.number === number) &&
+        (!group_id || entry.group_id === group_id) &&
+        (staff_id === undefined || String(entry.staff_id) === String(staff_id)) &&
+        (event_id === undefined || String(entry.event_id) === String(event_id)) &&
+        (task_id === undefined || String(entry.task_id) === String(task_id)) &&
+        (batch_id === undefined || entry.batch_id === batch_id) &&
+        (!types || types.includes(entry.type)) &&
+        (!statuses || statuses.includes(entry.status)) &&
+        (fromTime === null || queuedAt >= fromTime) &&
+        (toTime === null || queuedAt <= toTime) &&
+        (!needle || includesText(entry.message, needle) || includesText(entry.attachment && entry.attachment.caption, needle));
+    })
+    .reverse();
+};
+
+// Remove finished records last updated before `before` (default: the firm's retention period), returns how many went
+const purge = (firmId, before) => {
+  const cutoff = before ? new Date(before).getTime() : Date.now() - settings.getSettings(firmId, 'history').retention_days * DAY_MS;
+  const records = getRecords(firmId);
+  const kept = records.filter(entry => !FINAL_STATUSES.includes(entry.status) || new Date(entry.updated_at).getTime() >= cutoff);
+  const purged = records.length - kept.length;
+  if (purged === 0) return 0;
+
+  firms[firmId] = kept;
+  indexes.delete(firmId);
+  compact(firmId);
+  return purged;
+};
+
+const getFirmIds = () => Object.keys(firms);
+
+const CSV_COLUMNS = [
+  'message_id', 'timestamp', 'type', 'number', 'group_id', 'staff_id', 'event_id', 'task_id', 'day_number', 'batch_id',
+  'status', 'attempts', 'send_at', 'sent_at', 'delivered_at', 'read_at', 'failed_at', 'cancelled_at', 'error', 'message'
+];
+
+// Takes serialized records (with `message_id`)
+const toCsv = (records) => csv.toCsv(CSV_COLUMNS, records);
+
+module.exports = { record, search, purge, getFirmIds, toCsv };
@@ -0,0 +1,59 @@
+const crypto = require('crypto');
+const { createStore } = require('./store');
+
+// How long a response is kept for replay to a repeated Idempotency-Key
+const TTL_MS = parseInt(process.env.IDEMPOTENCY_TTL_MS, 10) || 24 * 60 * 60 * 1000;
+const MAX_KEY_LENGTH = 255;
+
+// `<scope>|<key>` -> { request_hash, state, status_code, response, created_at }
+const store = createStore('idempotency', { records: {} });
+
+// A request that was still running when the process stopped never finished, let it be retried
+Object.keys(store.data.records).forEach(id => {
+  if (store.data.records[id].state === 'in_progress') delete store.data.records[id];
+});
+
+const hashRequest = (body) => crypto.createHash('sha256').update(JSON.stringify(body || {})).digest('hex');
+
+const recordId = (scope, key) => `${scope}|${key}`;
+
+const pruneExpired = () => {
+  const now = Date.now();
+  Object.entries(store.data.records).forEach(([id, record]) => {
+    if (now - new Date(record.created_at).getTime() >= TTL_MS) delete store.data.records[id];
+  });
+};
+
+// Claim a key for a request. Returns { replay } with the stored response for a completed repeat,
+// { conflict: 'in_progress' | 'mismatch' } when the key cannot be used, or {} when the request should run.
+const begin = (scope, key, body) => {
+  pruneExpired();
+  const id = recordId(scope, key);
+  const requestHash = hashRequest(body);
+  const existing = store.data.records[id];
+
+  if (existing) {
+    if (existing.request_hash !== requestHash) return { conflict: 'mismatch' };
+    if (existing.state === 'in_progress') return { conflict: 'in_progress' };
+    return { replay: existing };
+  }
+
+  store.data.records[id] = { request_hash: requestHash, state: 'in_progress', created_at: new Date().toISOString() };
+  store.save();
+  return {};
+};
+
+const complete = (scope, key, statusCode, response) => {
+  const record = store.data.records[recordId(scope, key)];
+  if (!record) return;
+  Object.assign(record, { state: 'completed', status_code: statusCode, response });
+  store.save();
+};
+
+// Forget a key whose request failed in a way worth retrying
+const release = (scope, key) => {
+  delete store.data.records[recordId(scope, key)];
+  store.save();
+};
+
+module.exports = { MAX_KEY_LENGTH, begin, complete, release };
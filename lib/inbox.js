@@ -0,0 +1,147 @@
+const { v4: uuidv4 } = require('uuid');
+const { createStore } = require('./store');
+const settings = require('./settings');
+const queue = require('./queue');
+
+const INBOX_RETENTION = parseInt(process.env.INBOX_RETENTION, 10) || 1000; // per firm
+
+// Outbound message types a staff reply can confirm or decline
+const CORRELATED_TYPES = ['event', 'reminder', 'task'];
+const DELIVERED_STATUSES = ['sent', 'delivered', 'read'];
+
+const store = createStore('inbox', { messages: {} }); // firmId -> [reply], newest first
+
+const PUNCTUATION = /[.,!?;:()"“”]+/g;
+
+// Lowercase with punctuation turned into spaces and whitespace collapsed
+const normalizeText = (text) => String(text).toLowerCase().replace(PUNCTUATION, ' ').replace(/\s+/g, ' ').trim();
+
+const matchesKeyword = (phrases, keywords) => keywords.some(keyword => phrases.includes(normalizeText(keyword)));
+
+// Accepted or declined, or 'unknown' when both kinds of keyword match
+const classifyAnswer = (phrases, { accept_keywords, decline_keywords }) => {
+  const accepted = matchesKeyword(phrases, accept_keywords);
+  const declined = matchesKeyword(phrases, decline_keywords);
+  if (accepted && declined) return 'unknown';
+  if (accepted) return 'accepted';
+  if (declined) return 'declined';
+  return null;
+};
+
+// Whole-word match anywhere in the text, emoji and other symbols anywhere at all
+const containsKeyword = (text, keyword) => {
+  const phrase = ` ${normalizeText(keyword)} `;
+  return /^[\p{L}\p{N}' ]+$/u.test(phrase) ? ` ${normalizeText(text)} `.includes(phrase) : normalizeText(text).includes(phrase.trim());
+};
+
+// 'accepted', 'declined', 'unknown' or null. Only the whole reply, its first phrase (up to the first punctuation
+// mark) or its first word are read as an answer, the longest that matches winning, so "no problem, see you there"
+// is a yes and not a "no". A keyword of the other kind later in the reply ("ok but can't make it") makes it 'unknown'.
+const parseConfirmation = (firmId, text) => {
+  const replies = settings.getSettings(firmId, 'replies');
+  const whole = normalizeText(text);
+  const firstPhrase = normalizeText(String(text).split(PUNCTUATION)[0]);
+  for (const answer of [whole, firstPhrase, firstPhrase.split(' ')[0]]) {
+    const status = classifyAnswer([answer], replies);
+    if (!status) continue;
+    const opposite = { accepted: replies.decline_keywords, declined: replies.accept_keywords }[status] || [];
+    const rest = whole.slice(answer.length);
+    return opposite.some(keyword => containsKeyword(rest, keyword)) ? 'unknown' : status;
+  }
+  return null;
+};
+
+const normalizeCommand = (text) => String(text).toLowerCase().replace(/\s+/g, ' ').trim();
+
+// 'opt_out' or 'opt_in' when the whole reply is one of the keywords, trailing punctuation aside ("STOP", "Stop!"),
+// null otherwise, so "I will stop by the studio at 5" changes nothing
+const parseSubscription = (firmId, text) => {
+  const { opt_out_keywords, opt_in_keywords } = settings.getSettings(firmId, 'replies');
+  const command = normalizeCommand(text).replace(/[.!?]+$/, '').trim();
+  const isCommand = (keywords) => keywords.some(keyword => normalizeCommand(keyword) === command);
+  if (isCommand(opt_out_keywords)) return 'opt_out';
+  if (isCommand(opt_in_keywords)) return 'opt_in';
+  return null;
+};
+
+// "can't make day 2" -> 2
+const parseDayNumber = (text) => {
+  const match = String(text).match(/\bday\s*(\d{1,2})\b/i);
+  return match ? parseInt(match[1], 10) : null;
+};
+
+// Most recent event/task message that reached this number, narrowed to a specific
+// day of the event when the reply mentions one
+const findCorrelatedMessage = (firmId, digits, dayNumber) => {
+  const candidates = queue.listMessages(firmId, { number: digits })
+    .filter(message => CORRELATED_TYPES.includes(message.type) && DELIVERED_STATUSES.includes(message.status))
+    .sort((a, b) => new Date(b.sent_at) - new Date(a.sent_at));
+  if (candidates.length === 0) return null;
+
+  const latest = candidates[0];
+  if (dayNumber && latest.event_id) {
+    // Messages queued before day numbers were normalised may still hold them as strings
+    const sameDay = candidates.find(message => message.event_id === latest.event_id && Number(message.day_number) === dayNumber);
+    if (sameDay) return sameDay;
+  }
+  return latest;
+};
+
+// Store an inbound message, correlate it with what we last sent to that number and
+// record any accept/decline on the original message (an ambiguous reply is stored as 'unknown' but
+// leaves the original message alone). Returns the stored reply.
+// A reply that answers the original message is never read as an opt-out or opt-in.
+const recordInbound = (firmId, { waMessageId, from, body, receivedAt }) => {
+  const confirmation = parseConfirmation(firmId, body);
+  const subscription = confirmation ? null : parseSubscription(firmId, body);
+  const correlated = findCorrelatedMessage(firmId, from, parseDayNumber(body));
+
+  const reply = {
+    id: uuidv4(),
+    wa_message_id: waMessageId,
+    from,
+    body,
+    received_at: receivedAt || new Date().toISOString(),
+    confirmation,
+    subscription,
+    correlation: correlated ? {
+      message_id: correlated.id,
+      type: correlated.type,
+      event_id: correlated.event_id || null,
+      task_id: correlated.task_id || null,
+      staff_id: correlated.staff_id || null,
+      day_number: correlated.day_number || null
+    } : null
+  };
+
+  const messages = store.data.messages[firmId] || [];
+  messages.unshift(reply);
+  store.data.messages[firmId] = messages.slice(0, INBOX_RETENTION);
+  store.save();
+
+  if (correlated && (confirmation === 'accepted' || confirmation === 'declined')) {
+    queue.updateMessage(firmId, correlated.id, {
+      confirmation: {
+        status: confirmation,
+        reply_id: reply.id,
+        reply_text: body,
+        replied_at: reply.received_at
+      }
+    });
+  }
+  return reply;
+};
+
+// Filter a firm's inbox, e.g. { from, event_id, confirmation }
+const listInbox = (firmId, { from, event_id, task_id, staff_id, confirmation } = {}) =>
+  (store.data.messages[firmId] || []).filter(reply =>
+    (!from || reply.from === from) &&
+    (!confirmation || String(reply.confirmation) === confirmation) &&
+    (!event_id || (reply.correlation && String(reply.correlation.event_id) === String(event_id))) &&
+    (!task_id || (reply.correlation && String(reply.correlation.task_id) === String(task_id))) &&
+    (!staff_id || (reply.correlation && String(reply.correlation.staff_id) === String(staff_id)))
+  );
+
+const getReply = (firmId, replyId) => (store.data.messages[firmId] || []).find(reply => reply.id === replyId) || null;
+
+module.exports = { parseConfirmation, parseSubscription, recordInbound, listInbox, getReply };
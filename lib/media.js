@@ -0,0 +1,173 @@
+const fs = require('fs');
+const path = require('path');
+const { v4: uuidv4 } = require('uuid');
+const { createStore, DATA_DIR } = require('./store');
+
+const MEDIA_DIR = path.join(DATA_DIR, 'media');
+// Uploads land next to the media store so moving them in is a same-filesystem rename
+const UPLOAD_DIR = path.join(MEDIA_DIR, '.uploads');
+const MB = 1024 * 1024;
+
+// WhatsApp size limits per media category
+const SIZE_LIMITS = {
+  image: 5 * MB,
+  video: 16 * MB,
+  audio: 16 * MB,
+  document: 100 * MB
+};
+
+const MIME_CATEGORIES = {
+  'image/jpeg': 'image',
+  'image/png': 'image',
+  'image/webp': 'image',
+  'video/mp4': 'video',
+  'video/3gpp': 'video',
+  'audio/aac': 'audio',
+  'audio/mpeg': 'audio',
+  'audio/mp4': 'audio',
+  'audio/ogg': 'audio',
+  'audio/amr': 'audio',
+  'application/pdf': 'document',
+  'application/msword': 'document',
+  'application/vnd.openxmlformats-officedocument.wordprocessingml.document': 'document',
+  'application/vnd.ms-excel': 'document',
+  'application/vnd.openxmlformats-officedocument.spreadsheetml.sheet': 'document',
+  'application/vnd.ms-powerpoint': 'document',
+  'application/vnd.openxmlformats-officedocument.presentationml.presentation': 'document',
+  'application/zip': 'document',
+  'text/plain': 'document',
+  'text/csv': 'document',
+  'text/calendar': 'document'
+};
+
+const MAX_UPLOAD_SIZE = SIZE_LIMITS.document;
+
+const store = createStore('media', { files: {} }); // firmId -> { mediaId -> metadata }
+
+// Returns an error message when WhatsApp would reject the file, null otherwise
+const validateMedia = (mimetype, size) => {
+  const category = MIME_CATEGORIES[mimetype];
+  if (!category) return `Unsupported media type: ${mimetype || 'unknown'}`;
+  if (size === 0) return 'Media file is empty';
+  if (size > SIZE_LIMITS[category]) {
+    return `${category} files are limited to ${SIZE_LIMITS[category] / MB} MB by WhatsApp (got ${(size / MB).toFixed(1)} MB)`;
+  }
+  return null;
+};
+
+// Each firm's files live in a directory named after the firm, so its id must be one plain path segment
+const isValidFirmId = (firmId) => typeof firmId === 'string' && firmId !== '.' && firmId !== '..' && /^[^/\\\0]+$/.test(firmId);
+
+const getFirmMedia = (firmId) => store.data.files[firmId] || {};
+
+const getMedia = (firmId, mediaId) => getFirmMedia(firmId)[mediaId] || null;
+
+// Uploaded files only, attachments sent inline with a request come and go with their messages
+const listMedia = (firmId) => Object.values(getFirmMedia(firmId)).filter(metadata => !metadata.temporary);
+
+// Record a file that is already on disk (e.g. a multer upload), moving it into the media directory.
+// `temporary` files are deleted by releaseAttachment once no message needs them any more.
+const saveFile = (firmId, { sourcePath, filename, mimetype, size, id = uuidv4(), temporary = false }) => {
+  if (!isValidFirmId(firmId)) throw new Error(`Invalid firm id for media: ${firmId}`);
+  const firmDir = path.join(MEDIA_DIR, firmId);
+  fs.mkdirSync(firmDir, { recursive: true });
+  const filePath = path.join(firmDir, id);
+  fs.renameSync(sourcePath, filePath);
+
+  const metadata = {
+    id,
+    filename: filename || id,
+    mimetype,
+    size,
+    category: MIME_CATEGORIES[mimetype],
+    path: filePath,
+    ...(temporary ? { temporary } : {}),
+    created_at: new Date().toISOString()
+  };
+  store.data.files[firmId] = { ...getFirmMedia(firmId), [id]: metadata };
+  store.save();
+  return metadata;
+};
+
+const saveBuffer = (firmId, { buffer, ...options }) => {
+  fs.mkdirSync(UPLOAD_DIR, { recursive: true });
+  const tmpPath = path.join(UPLOAD_DIR, uuidv4());
+  fs.writeFileSync(tmpPath, buffer);
+  return saveFile(firmId, { ...options, sourcePath: tmpPath, size: buffer.length });
+};
+
+const deleteMedia = (firmId, mediaId) => {
+  const metadata = getMedia(firmId, mediaId);
+  if (!metadata) return false;
+  fs.rmSync(metadata.path, { force: true });
+  delete store.data.files[firmId][mediaId];
+  store.save();
+  return true;
+};
+
+// Public representation, without the on-disk path
+const serializeMedia = ({ path: filePath, id, ...metadata }) => ({ media_id: id, ...metadata });
+
+// Delete an inline attachment that no message needs any more, uploads are left alone
+const releaseAttachment = (firmId, mediaId) => {
+  const metadata = getMedia(firmId, mediaId);
+  if (!metadata || !metadata.temporary) return false;
+  return deleteMedia(firmId, mediaId);
+};
+
+// Check a request `attachment` without storing anything, returns { attachment, save } or { error }.
+// `attachment` is the reference to put on messages. Inline data is only written by `save()`, which
+// the caller runs once a message using it is actually queued, and is released with its messages.
+// Accepts either { media_id } for a file uploaded via /api/media, or
+// { data, mimetype, filename } with base64 data (a data: URL prefix is allowed).
+const prepareAttachment = (firmId, attachment) => {
+  if (!attachment) return { attachment: null, save: () => {} };
+  if (typeof attachment !== 'object') return { error: 'attachment must be an object' };
+  if (!isValidFirmId(firmId)) return { error: 'firmId cannot contain path separators or be . or ..' };
+  const caption = attachment.caption || null;
+
+  if (attachment.media_id) {
+    if (!getMedia(firmId, attachment.media_id)) return { error: `Media ${attachment.media_id} not found` };
+    return { attachment: { media_id: attachment.media_id, caption }, save: () => {} };
+  }
+
+  if (typeof attachment.data !== 'string') return { error: 'attachment requires media_id or base64 data' };
+  const dataUrl = attachment.data.match(/^data:([^;]+);base64,(.*)$/s);
+  const mimetype = attachment.mimetype || (dataUrl && dataUrl[1]);
+  const buffer = Buffer.from(dataUrl ? dataUrl[2] : attachment.data, 'base64');
+
+  const error = validateMedia(mimetype, buffer.length);
+  if (error) return { error };
+  const id = uuidv4();
+  return {
+    attachment: { media_id: id, caption },
+    save: () => saveBuffer(firmId, { buffer, id, filename: attachment.filename, mimetype, temporary: true })
+  };
+};
+
+// Read a stored file back as { mimetype, data (base64), filename } for sending
+const loadMedia = (firmId, mediaId) => {
+  const metadata = getMedia(firmId, mediaId);
+  if (!metadata) throw new Error(`Media ${mediaId} no longer exists`);
+  return {
+    mimetype: metadata.mimetype,
+    data: fs.readFileSync(metadata.path).toString('base64'),
+    filename: metadata.filename
+  };
+};
+
+module.exports = {
+  UPLOAD_DIR,
+  MAX_UPLOAD_SIZE,
+  isValidFirmId,
+  validateMedia,
+  getMedia,
+  listMedia,
+  saveFile,
+  saveBuffer,
+  deleteMedia,
+  serializeMedia,
+  prepareAttachment,
+  releaseAttachment,
+  loadMedia
+};
@@ -0,0 +1,36 @@
+const { parsePhoneNumberFromString, validatePhoneNumberLength, isSupportedCountry } = require('libphonenumber-js/max');
+
+const LENGTH_ERRORS = {
+  NOT_A_NUMBER: 'is not a phone number',
+  INVALID_COUNTRY: 'has no recognisable country code',
+  TOO_SHORT: 'is too short',
+  TOO_LONG: 'is too long',
+  INVALID_LENGTH: 'has an invalid length'
+};
+
+// Parse a phone number into E.164, using `defaultCountry` for numbers written
+// without an international prefix. Returns { e164, digits, country, type } or { error }.
+// `digits` is the E.164 number without the leading '+', which is what WhatsApp ids use.
+const normalizeNumber = (input, defaultCountry) => {
+  if (input === undefined || input === null || String(input).trim() === '') {
+    return { error: 'Phone number is required' };
+  }
+  const raw = String(input).trim().replace(/^00/, '+');
+
+  const lengthError = validatePhoneNumberLength(raw, defaultCountry);
+  if (lengthError) return { error: `Phone number ${input} ${LENGTH_ERRORS[lengthError] || 'is invalid'}` };
+
+  const parsed = parsePhoneNumberFromString(raw, defaultCountry);
+  if (!parsed || !parsed.isValid()) {
+    return { error: `Phone number ${input} is not valid for ${parsed && parsed.country ? parsed.country : defaultCountry}` };
+  }
+
+  return {
+    e164: parsed.number,
+    digits: parsed.number.slice(1),
+    country: parsed.country || null,
+    type: parsed.getType() || null
+  };
+};
+
+module.exports = { normalizeNumber, isSupportedCountry };
@@ -0,0 +1,342 @@
+const { createStore } = require('./store');
+const history = require('./history');
+const media = require('./media');
+
+// Completed (sent/failed) messages kept per firm so they survive a restart
+const COMPLETED_RETENTION = parseInt(process.env.QUEUE_COMPLETED_RETENTION, 10) || 500;
+// How long after sending an identical message is still treated as a duplicate
+const DUPLICATE_WINDOW_MS = parseInt(process.env.DUPLICATE_WINDOW_MS, 10) || 24 * 60 * 60 * 1000;
+
+// Delivery lifecycle, a message only ever moves forward through these
+const STATUS_ORDER = ['scheduled', 'queued', 'sending', 'sent', 'delivered', 'read'];
+
+// Priority lanes, most urgent first. A lane is only sent from once every lane before it is empty,
+// and messages in a lane go out in queue order.
+const PRIORITIES = ['urgent', 'normal', 'bulk'];
+const DEFAULT_PRIORITY = 'normal';
+
+const store = createStore('queue', { messages: {} }); // firmId -> [message]
+
+const getMessages = (firmId) => store.data.messages[firmId] || [];
+
+// Messages that may still be sent, dead letters included since they can be requeued
+const MAY_SEND_STATUSES = ['scheduled', 'queued', 'sending', 'failed'];
+
+// Delete the inline attachments of `messages` that no message left in the queue may still send
+const releaseAttachments = (firmId, messages) => {
+  const mediaIds = new Set(messages.filter(message => message.attachment).map(message => message.attachment.media_id));
+  if (mediaIds.size === 0) return;
+  getMessages(firmId)
+    .filter(message => message.attachment && MAY_SEND_STATUSES.includes(message.status))
+    .forEach(message => mediaIds.delete(message.attachment.media_id));
+  mediaIds.forEach(mediaId => media.releaseAttachment(firmId, mediaId));
+};
+
+// Persist the queue and copy the messages that changed into the message history
+const save = (firmId, changed) => {
+  if (changed.length > 0) history.record(firmId, changed);
+  store.save();
+  releaseAttachments(firmId, changed);
+};
+
+// Failed messages are never pruned, they stay in the dead-letter list until retried or purged
+const isCompleted = (message) => ['sent', 'delivered', 'read', 'cancelled'].includes(message.status);
+
+// Messages that were in flight when the process died are retried on boot
+Object.values(store.data.messages).forEach(messages => {
+  messages.forEach(message => {
+    if (message.status === 'sending') message.status = 'queued';
+  });
+});
+
+// Drop the oldest completed messages beyond the retention limit
+const pruneCompleted = (firmId) => {
+  const messages = getMessages(firmId);
+  let excess = messages.filter(isCompleted).length - COMPLETED_RETENTION;
+  if (excess <= 0) return;
+  store.data.messages[firmId] = messages.filter(message => {
+    if (excess > 0 && isCompleted(message)) {
+      excess--;
+      return false;
+    }
+    return true;
+  });
+};
+
+const isFuture = (sendAt) => Boolean(sendAt) && new Date(sendAt).getTime() > Date.now();
+
+// Append messages to a firm's queue, returns the new queue length.
+// Messages with a future `send_at` are held as 'scheduled' until they fall due.
+const enqueue = (firmId, messages) => {
+  const now = new Date().toISOString();
+  const firmMessages = getMessages(firmId);
+  const added = messages.map(message => ({ ...message, status: isFuture(message.send_at) ? 'scheduled' : 'queued', updated_at: now }));
+  firmMessages.push(...added);
+  store.data.messages[firmId] = firmMessages;
+  save(firmId, added);
+  return getQueued(firmId).length;
+};
+
+const getQueued = (firmId) => getMessages(firmId).filter(message => message.status === 'queued');
+
+// Messages without a lane, or with one that no longer exists, go in the normal lane
+const getPriority = (message) => (PRIORITIES.includes(message.priority) ? message.priority : DEFAULT_PRIORITY);
+
+const priorityRank = (message) => PRIORITIES.indexOf(getPriority(message));
+
+// Queued messages in the order they will be sent: by lane, then queue order (sort is stable)
+const getDispatchOrder = (firmId) => getQueued(firmId).sort((a, b) => priorityRank(a) - priorityRank(b));
+
+// Next message due for sending, skipping paused messages and retries whose backoff has not elapsed
+const nextQueued = (firmId) => {
+  const now = Date.now();
+  return getDispatchOrder(firmId).find(message =>
+    !message.paused && (!message.next_attempt_at || new Date(message.next_attempt_at).getTime() <= now)
+  );
+};
+
+// Move a queued message to the front or back of its lane, or next to another queued message in the same lane.
+// Returns the message, or null when either message is not queued or they are in different lanes.
+const moveMessage = (firmId, messageId, { to, before, after }) => {
+  const messages = getMessages(firmId);
+  const message = getMessage(firmId, messageId);
+  if (!message || message.status !== 'queued') return null;
+
+  const lane = getQueued(firmId).filter(other => getPriority(other) === getPriority(message) && other !== message);
+  let target;
+  let placeAfter = false;
+  if (before || after) {
+    target = lane.find(other => other.id === (before || after));
+    if (!target) return null;
+    placeAfter = Boolean(after);
+  } else if (to === 'back') {
+    target = lane[lane.length - 1];
+    placeAfter = true;
+  } else {
+    target = lane[0];
+  }
+
+  if (target) {
+    messages.splice(messages.indexOf(message), 1);
+    messages.splice(messages.indexOf(target) + (placeAfter ? 1 : 0), 0, message);
+  }
+  message.updated_at = new Date().toISOString();
+  save(firmId, [message]);
+  return message;
+};
+
+const getMessage = (firmId, messageId) => getMessages(firmId).find(message => message.id === messageId) || null;
+
+// Look a message up by our uuid without knowing which firm owns it
+const findMessage = (messageId) => {
+  for (const firmId of getFirmIds()) {
+    const message = getMessage(firmId, messageId);
+    if (message) return { firmId, message };
+  }
+  return null;
+};
+
+const findByWhatsAppId = (firmId, waMessageId) => getMessages(firmId).find(message => message.wa_message_id === waMessageId) || null;
+
+// Filter a firm's messages by any of the stored fields, e.g. { event_id, status }
+const listMessages = (firmId, filters = {}) => getMessages(firmId).filter(message =>
+  Object.entries(filters).every(([key, value]) => value === undefined || String(message[key]) === String(value))
+);
+
+// Fields that make two messages the same send: same text and attachment to the same number or group about the same thing
+const DUPLICATE_FIELDS = ['number', 'group_id', 'message', 'type', 'event_id', 'task_id', 'day_number', 'reminder_offset_hours'];
+
+const fieldValue = (value) => (value === undefined || value === null ? '' : String(value));
+
+const isSameContent = (a, b) => DUPLICATE_FIELDS.every(field => fieldValue(a[field]) === fieldValue(b[field])) &&
+  fieldValue(a.attachment && a.attachment.media_id) === fieldValue(b.attachment && b.attachment.media_id);
+
+// An identical message that is still waiting to go out or was sent within the duplicate window.
+// `pending` holds messages about to be enqueued alongside the candidate.
+const findDuplicate = (firmId, candidate, pending = []) => {
+  const windowStart = Date.now() - DUPLICATE_WINDOW_MS;
+  const isLive = (message) => ['scheduled', 'queued', 'sending'].includes(message.status) ||
+    (['sent', 'delivered', 'read'].includes(message.status) && new Date(message.sent_at).getTime() >= windowStart);
+  return pending.find(message => isSameContent(message, candidate)) ||
+    getMessages(firmId).find(message => isLive(message) && isSameContent(message, candidate)) ||
+    null;
+};
+
+const updateMessage = (firmId, messageId, changes) => {
+  const message = getMessage(firmId, messageId);
+  if (!message) return null;
+  Object.assign(message, changes, { updated_at: new Date().toISOString() });
+  pruneCompleted(firmId);
+  save(firmId, [message]);
+  return message;
+};
+
+// Move a message to a new delivery status and stamp `<status>_at`.
+// Returns null when the transition would go backwards (e.g. a late
+// delivery ack arriving after the read ack), so callers can skip side effects.
+const setStatus = (firmId, messageId, status, changes = {}) => {
+  const message = getMessage(firmId, messageId);
+  if (!message) return null;
+  const isTerminal = ['failed', 'read', 'cancelled'].includes(message.status);
+  const isBackwards = STATUS_ORDER.indexOf(status) !== -1 && STATUS_ORDER.indexOf(status) <= STATUS_ORDER.indexOf(message.status);
+  if (isTerminal || isBackwards) return null;
+  return updateMessage(firmId, messageId, { ...changes, status, [`${status}_at`]: new Date().toISOString() });
+};
+
+// Put a failed attempt back in the queue once `delayMs` has passed
+const scheduleRetry = (firmId, messageId, delayMs, error) => updateMessage(firmId, messageId, {
+  status: 'queued',
+  error,
+  next_attempt_at: new Date(Date.now() + delayMs).toISOString()
+});
+
+const getDeadLetters = (firmId) => getMessages(firmId).filter(message => message.status === 'failed');
+
+const selectDeadLetters = (firmId, messageIds) => getDeadLetters(firmId)
+  .filter(message => !messageIds || messageIds.includes(message.id));
+
+// Give dead-lettered messages a fresh set of attempts, returns the requeued messages
+const requeueDeadLetters = (firmId, messageIds) => {
+  const messages = selectDeadLetters(firmId, messageIds);
+  const now = new Date().toISOString();
+  messages.forEach(message => {
+    Object.assign(message, {
+      status: 'queued',
+      attempts: 0,
+      error: null,
+      failed_at: null,
+      next_attempt_at: null,
+      updated_at: now
+    });
+  });
+  save(firmId, messages);
+  return messages;
+};
+
+// Permanently delete dead-lettered messages, returns how many were removed
+const purgeDeadLetters = (firmId, messageIds) => {
+  const purged = new Set(selectDeadLetters(firmId, messageIds));
+  store.data.messages[firmId] = getMessages(firmId).filter(message => !purged.has(message));
+  store.save();
+  releaseAttachments(firmId, Array.from(purged));
+  return purged.size;
+};
+
+const getScheduled = (firmId, filters = {}) => listMessages(firmId, { ...filters, status: 'scheduled' });
+
+// Move scheduled messages whose send_at has passed into the queue, returns [{ firmId, message }]
+const promoteDue = () => {
+  const promoted = [];
+  const now = new Date().toISOString();
+  getFirmIds().forEach(firmId => {
+    const due = getMessages(firmId).filter(message => message.status === 'scheduled' && !isFuture(message.send_at));
+    due.forEach(message => {
+      Object.assign(message, { status: 'queued', updated_at: now });
+      promoted.push({ firmId, message });
+    });
+    if (due.length > 0) save(firmId, due);
+  });
+  return promoted;
+};
+
+// Change when a scheduled message goes out, a time in the past queues it straight away
+const reschedule = (firmId, messageId, sendAt) => {
+  const message = getMessage(firmId, messageId);
+  if (!message || message.status !== 'scheduled') return null;
+  return updateMessage(firmId, messageId, {
+    send_at: new Date(sendAt).toISOString(),
+    status: isFuture(sendAt) ? 'scheduled' : 'queued'
+  });
+};
+
+// Cancel scheduled messages matching the filters (e.g. { event_id }) or the given ids
+const cancelScheduled = (firmId, { messageIds, ...filters }) => {
+  const messages = getScheduled(firmId, filters)
+    .filter(message => !messageIds || messageIds.includes(message.id));
+  const now = new Date().toISOString();
+  messages.forEach(message => {
+    Object.assign(message, { status: 'cancelled', cancelled_at: now, updated_at: now });
+  });
+  pruneCompleted(firmId);
+  save(firmId, messages);
+  return messages;
+};
+
+const isPending = (message) => ['scheduled', 'queued'].includes(message.status);
+
+// Hold back (or release) the unsent messages matching the filters, e.g. { batch_id }.
+// Paused messages keep their status and are skipped by nextQueued. Returns how many changed.
+const setPaused = (firmId, filters, paused) => {
+  const messages = listMessages(firmId, filters).filter(message => isPending(message) && Boolean(message.paused) !== paused);
+  const now = new Date().toISOString();
+  messages.forEach(message => {
+    Object.assign(message, { paused, updated_at: now });
+  });
+  if (messages.length > 0) save(firmId, messages);
+  return messages.length;
+};
+
+// Cancel every unsent (queued or scheduled) message matching the filters, returns them
+const cancelPending = (firmId, filters) => {
+  const messages = listMessages(firmId, filters).filter(isPending);
+  const now = new Date().toISOString();
+  messages.forEach(message => {
+    Object.assign(message, { status: 'cancelled', cancelled_at: now, updated_at: now });
+  });
+  pruneCompleted(firmId);
+  save(firmId, messages);
+  return messages;
+};
+
+// Remove every message still waiting to be sent, returns how many were removed
+const clearQueue = (firmId) => {
+  const messages = getMessages(firmId);
+  const remaining = messages.filter(message => message.status !== 'queued');
+  const cleared = messages.length - remaining.length;
+  store.data.messages[firmId] = remaining;
+  // The queue forgets them, the history records that they were never sent
+  const now = new Date().toISOString();
+  save(firmId, messages
+    .filter(message => message.status === 'queued')
+    .map(message => ({ ...message, status: 'cancelled', cancelled_at: now, updated_at: now, error: 'Queue cleared' })));
+  return cleared;
+};
+
+const getStatusCounts = (firmId) => getMessages(firmId).reduce((counts, message) => {
+  counts[message.status] = (counts[message.status] || 0) + 1;
+  return counts;
+}, {});
+
+const getFirmIds = () => Object.keys(store.data.messages);
+
+module.exports = {
+  STATUS_ORDER,
+  PRIORITIES,
+  DEFAULT_PRIORITY,
+  enqueue,
+  getQueued,
+  getPriority,
+  getDispatchOrder,
+  nextQueued,
+  moveMessage,
+  getMessage,
+  findMessage,
+  findByWhatsAppId,
+  listMessages,
+  findDuplicate,
+  updateMessage,
+  setStatus,
+  getScheduled,
+  promoteDue,
+  reschedule,
+  cancelScheduled,
+  setPaused,
+  cancelPending,
+  scheduleRetry,
+  getDeadLetters,
+  requeueDeadLetters,
+  purgeDeadLetters,
+  clearQueue,
+  getStatusCounts,
+  getFirmIds
+};
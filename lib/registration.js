@@ -0,0 +1,38 @@
+const CACHE_TTL_MS = parseInt(process.env.REGISTRATION_CACHE_TTL_MS, 10) || 24 * 60 * 60 * 1000;
+
+const caches = new Map(); // firmId -> Map(digits -> { registered, checked_at })
+
+const getCache = (firmId) => {
+  if (!caches.has(firmId)) caches.set(firmId, new Map());
+  return caches.get(firmId);
+};
+
+// Check which E.164 digit strings are on WhatsApp, using the firm's cache where it is fresh.
+// `lookup(digits)` asks the live client and resolves to a boolean. Lookups run one at a time
+// since each one is a round trip through the browser session.
+// Resolves to a Map(digits -> { registered, cached, checked_at, error }); `registered` is
+// null when the lookup itself failed.
+const checkNumbers = async (firmId, digitsList, lookup) => {
+  const cache = getCache(firmId);
+  const results = new Map();
+
+  for (const digits of new Set(digitsList)) {
+    const cached = cache.get(digits);
+    if (cached && Date.now() - new Date(cached.checked_at).getTime() < CACHE_TTL_MS) {
+      results.set(digits, { ...cached, cached: true });
+      continue;
+    }
+    try {
+      const entry = { registered: Boolean(await lookup(digits)), checked_at: new Date().toISOString() };
+      cache.set(digits, entry);
+      results.set(digits, { ...entry, cached: false });
+    } catch (error) {
+      results.set(digits, { registered: null, cached: false, checked_at: new Date().toISOString(), error: error.message });
+    }
+  }
+  return results;
+};
+
+const clearCache = (firmId) => caches.delete(firmId);
+
+module.exports = { CACHE_TTL_MS, checkNumbers, clearCache };
@@ -0,0 +1,38 @@
+const settings = require('./settings');
+const templates = require('./templates');
+const { zonedTimeToUtc } = require('./time');
+
+// Work out which reminder offsets (hours before each assigned day) a request asks for:
+// `true` uses the firm's configured offsets, an array overrides them, anything else
+// falls back to the firm's `reminders.enabled` setting.
+const resolveOffsets = (firmId, requested) => {
+  const config = settings.getSettings(firmId, 'reminders');
+  if (Array.isArray(requested)) return requested;
+  if (requested === true || (requested === undefined && config.enabled)) return config.offsets_hours;
+  return [];
+};
+
+// Reminder messages for one staff member's assignment, skipping any whose time has already passed
+const buildEventReminders = (firmId, event, staff, assignment, offsetsHours) => {
+  const date = assignment ? assignment.day_date : (event.eventDate || event.event_date);
+  if (offsetsHours.length === 0 || typeof date !== 'string' || !/^\d{4}-\d{2}-\d{2}$/.test(date)) return [];
+
+  const { timezone } = settings.getSettings(firmId, 'locale');
+  const startTime = (assignment && assignment.start_time) || event.start_time || event.startTime ||
+    settings.getSettings(firmId, 'reminders').default_start_time;
+  const startsAt = zonedTimeToUtc(date, startTime, timezone).getTime();
+
+  return offsetsHours
+    .map(offsetHours => ({ offsetHours, sendAt: startsAt - offsetHours * 60 * 60 * 1000 }))
+    .filter(({ sendAt }) => sendAt > Date.now())
+    .map(({ offsetHours, sendAt }) => ({
+      number: staff.mobile_number,
+      message: templates.formatEventReminder(firmId, event, staff, assignment, { date, startTime, offsetHours }),
+      staff_id: staff.id,
+      day_number: assignment ? assignment.day_number : 1,
+      send_at: new Date(sendAt).toISOString(),
+      reminder_offset_hours: offsetHours
+    }));
+};
+
+module.exports = { resolveOffsets, buildEventReminders };
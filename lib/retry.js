@@ -0,0 +1,28 @@
+// Errors that will fail the same way no matter how often we retry
+const PERMANENT_ERROR_PATTERNS = [
+  /not registered/i,
+  /invalid wid/i,
+  /wid error/i,
+  /invalid number/i,
+  /no lid for user/i,
+  /phone number is not on whatsapp/i,
+  /media .* no longer exists/i,
+  /^group .* not found/i,
+  /^phone number .* (is not|is too|has (an invalid|no recognisable))/i
+];
+
+// Classify a send error as 'permanent' or 'transient'.
+// Anything we don't recognise (page crashes, protocol errors, timeouts) is
+// treated as transient since the browser session usually recovers.
+const classifyError = (error) => {
+  const message = (error && error.message) || String(error);
+  return PERMANENT_ERROR_PATTERNS.some(pattern => pattern.test(message)) ? 'permanent' : 'transient';
+};
+
+// Exponential backoff with "equal jitter": half the delay is fixed, half random
+const getBackoffDelay = (policy, attempt) => {
+  const delay = Math.min(policy.max_delay_ms, policy.base_delay_ms * Math.pow(2, attempt - 1));
+  return Math.round(delay / 2 + Math.random() * delay / 2);
+};
+
+module.exports = { classifyError, getBackoffDelay };
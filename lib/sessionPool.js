@@ -0,0 +1,97 @@
+const fs = require('fs');
+
+// Running sessions beyond this are made room for by hibernating the least recently active one
+const MAX_ACTIVE_SESSIONS = parseInt(process.env.MAX_ACTIVE_SESSIONS, 10) || 10;
+// Ready sessions with nothing to send are hibernated after this long without activity. Off (0) unless
+// configured, since a hibernated firm receives no replies, opt-outs or delivery acks.
+const SESSION_IDLE_TIMEOUT_MS = parseInt(process.env.SESSION_IDLE_TIMEOUT_MS, 10) || 0;
+
+const sessions = new Map(); // firmId -> { started_at, last_activity_at } for running sessions
+
+const trackStart = (firmId) => {
+  const now = Date.now();
+  sessions.set(firmId, { started_at: now, last_activity_at: now });
+};
+
+const trackStop = (firmId) => {
+  sessions.delete(firmId);
+};
+
+// Record that the session did something useful (sent, received, was asked to connect)
+const touch = (firmId) => {
+  const session = sessions.get(firmId);
+  if (session) session.last_activity_at = Date.now();
+};
+
+const hasCapacity = () => sessions.size < MAX_ACTIVE_SESSIONS;
+
+const isIdle = (firmId, now = Date.now()) => {
+  const session = sessions.get(firmId);
+  return Boolean(SESSION_IDLE_TIMEOUT_MS && session && now - session.last_activity_at >= SESSION_IDLE_TIMEOUT_MS);
+};
+
+// Least recently active of the given firms, or null
+const pickLeastRecentlyActive = (firmIds) => firmIds
+  .filter(firmId => sessions.has(firmId))
+  .sort((a, b) => sessions.get(a).last_activity_at - sessions.get(b).last_activity_at)[0] || null;
+
+// Resident memory of a process and all of its children in bytes, null where /proc is unavailable
+const getProcessTreeMemory = (pid) => {
+  try {
+    const parents = new Map(); // pid -> ppid
+    fs.readdirSync('/proc').filter(entry => /^\d+$/.test(entry)).forEach(entry => {
+      try {
+        const stat = fs.readFileSync(`/proc/${entry}/stat`, 'utf8');
+        // The command name can contain spaces and parentheses, the fields after it cannot
+        const fields = stat.slice(stat.lastIndexOf(')') + 2).split(' ');
+        parents.set(Number(entry), Number(fields[1]));
+      } catch (error) {
+        // Process exited while we were scanning
+      }
+    });
+
+    const tree = [pid];
+    for (let i = 0; i < tree.length; i++) {
+      parents.forEach((ppid, child) => {
+        if (ppid === tree[i]) tree.push(child);
+      });
+    }
+
+    return tree.reduce((total, treePid) => {
+      try {
+        const match = fs.readFileSync(`/proc/${treePid}/status`, 'utf8').match(/^VmRSS:\s+(\d+) kB/m);
+        return total + (match ? parseInt(match[1], 10) * 1024 : 0);
+      } catch (error) {
+        return total;
+      }
+    }, 0);
+  } catch (error) {
+    return null;
+  }
+};
+
+// Uptime and activity for a running session, memory only for drivers that run their own browser
+const getSessionInfo = (firmId, transport, now = Date.now()) => {
+  const session = sessions.get(firmId);
+  if (!session) return { started_at: null, uptime_seconds: 0, last_activity_at: null, memory_rss: null };
+
+  const pid = transport && transport.getProcessId ? transport.getProcessId() : null;
+  return {
+    started_at: new Date(session.started_at).toISOString(),
+    uptime_seconds: Math.round((now - session.started_at) / 1000),
+    last_activity_at: new Date(session.last_activity_at).toISOString(),
+    memory_rss: pid ? getProcessTreeMemory(pid) : null
+  };
+};
+
+module.exports = {
+  MAX_ACTIVE_SESSIONS,
+  SESSION_IDLE_TIMEOUT_MS,
+  trackStart,
+  trackStop,
+  touch,
+  hasCapacity,
+  isIdle,
+  pickLeastRecentlyActive,
+  getSessionInfo
+};
@@ -0,0 +1,24 @@
+const { createStore } = require('./store');
+
+// Firms whose session reached ready at least once and has not been explicitly disconnected.
+// These are the firms worth reconnecting after a restart.
+const store = createStore('sessions', { firms: {} }); // firmId -> { registered_at, last_ready_at }
+
+const markReady = (firmId) => {
+  const now = new Date().toISOString();
+  const existing = store.data.firms[firmId];
+  store.data.firms[firmId] = { registered_at: existing ? existing.registered_at : now, last_ready_at: now };
+  store.save();
+};
+
+const unregister = (firmId) => {
+  if (!store.data.firms[firmId]) return;
+  delete store.data.firms[firmId];
+  store.save();
+};
+
+// Registered firms, most recently ready first
+const getRegisteredFirms = () => Object.keys(store.data.firms)
+  .sort((a, b) => store.data.firms[b].last_ready_at.localeCompare(store.data.firms[a].last_ready_at));
+
+module.exports = { markReady, unregister, getRegisteredFirms };
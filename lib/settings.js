@@ -0,0 +1,177 @@
+const { createStore } = require('./store');
+const { isValidTimeZone } = require('./time');
+const { isSupportedCountry } = require('./phone');
+const transports = require('./transports');
+
+// Per-firm configuration, grouped into sections with service-wide defaults
+const DEFAULTS = {
+  retry: {
+    max_attempts: 3,
+    base_delay_ms: 5000,
+    max_delay_ms: 5 * 60 * 1000
+  },
+  branding: {
+    firm_name: process.env.DEFAULT_FIRM_NAME || 'Prit Photo'
+  },
+  locale: {
+    timezone: process.env.DEFAULT_TIMEZONE || 'Asia/Kolkata',
+    default_country: process.env.DEFAULT_COUNTRY || 'IN'
+  },
+  reminders: {
+    enabled: false,
+    offsets_hours: [24, 2],
+    default_start_time: '09:00'
+  },
+  transport: {
+    driver: transports.DEFAULT_DRIVER
+  },
+  // Send pacing to keep the firm's number under WhatsApp's spam radar
+  throttle: {
+    min_delay_ms: 1500,
+    max_delay_ms: 4000,
+    burst_size: 20,
+    burst_pause_ms: 30 * 1000,
+    hourly_cap: 300,
+    daily_cap: 1500,
+    recipient_cooldown_ms: 0,
+    quiet_hours: null // e.g. { start: '21:00', end: '08:00' } in the firm's locale.timezone
+  },
+  // Accept and decline keywords only count as the whole reply, its first phrase or its first word,
+  // case-insensitively; English, Hindi and Gujarati by default
+  replies: {
+    accept_keywords: ['yes', 'ok', 'okay', 'confirm', 'confirmed', 'accept', 'accepted', 'done', 'sure', 'will be there', 'no problem', 'no worries', '👍', 'haan', 'theek hai', 'हाँ', 'हां', 'ठीक है', 'હા', 'ઓકે'],
+    decline_keywords: ['no', 'decline', 'declined', 'cannot', "can't", 'cant', 'unavailable', 'not available', 'nahi', 'nahin', 'नहीं', 'ના', 'નહીં'],
+    // A reply that is exactly one of these adds the sender to the firm's suppression list, or takes them off it
+    opt_out_keywords: ['stop', 'unsubscribe', 'opt out', 'optout'],
+    opt_in_keywords: ['start', 'unstop', 'subscribe']
+  },
+  // .ics invites attached to event and task assignments
+  calendar: {
+    attach_invites: false,
+    event_duration_hours: 8
+  },
+  // How long finished messages stay searchable in the message history
+  history: {
+    retention_days: 90
+  }
+};
+
+const isPositiveInteger = (value) => Number.isInteger(value) && value > 0;
+
+const isNonNegativeInteger = (value) => Number.isInteger(value) && value >= 0;
+
+const isTimeOfDay = (value) => typeof value === 'string' && /^([01]\d|2[0-3]):[0-5]\d$/.test(value);
+
+// Reminder offsets are hours before the start of each assigned day, at most a week ahead
+const validateReminderOffsets = (offsets) => {
+  if (!Array.isArray(offsets) || offsets.length > 5 || offsets.some(hours => typeof hours !== 'number' || hours <= 0 || hours > 168)) {
+    return 'offsets_hours must be an array of up to 5 numbers between 0 and 168';
+  }
+  return null;
+};
+
+// Each validator gets the changes and the merged result, and returns an error message
+// or null when the changes are valid
+const VALIDATORS = {
+  retry: (changes) => {
+    const invalid = ['max_attempts', 'base_delay_ms', 'max_delay_ms']
+      .filter(key => changes[key] !== undefined && !isPositiveInteger(changes[key]));
+    if (invalid.length > 0) return `${invalid.join(', ')} must be positive integers`;
+    if (changes.max_attempts > 10) return 'max_attempts cannot exceed 10';
+    return null;
+  },
+  branding: (changes) => {
+    if (changes.firm_name !== undefined && (typeof changes.firm_name !== 'string' || changes.firm_name.trim() === '')) {
+      return 'firm_name must be a non-empty string';
+    }
+    return null;
+  },
+  locale: (changes) => {
+    if (changes.timezone !== undefined && !isValidTimeZone(changes.timezone)) return 'timezone must be a valid IANA time zone, e.g. Asia/Kolkata';
+    if (changes.default_country !== undefined && !isSupportedCountry(changes.default_country)) return 'default_country must be a supported ISO 3166-1 alpha-2 code, e.g. IN';
+    return null;
+  },
+  reminders: (changes) => {
+    if (changes.enabled !== undefined && typeof changes.enabled !== 'boolean') return 'enabled must be a boolean';
+    if (changes.default_start_time !== undefined && !isTimeOfDay(changes.default_start_time)) return 'default_start_time must be in HH:MM format';
+    if (changes.offsets_hours !== undefined) return validateReminderOffsets(changes.offsets_hours);
+    return null;
+  },
+  transport: (changes) => {
+    if (changes.driver !== undefined && !transports.isDriverEnabled(changes.driver)) {
+      return `driver must be one of: ${transports.getDrivers().join(', ')}`;
+    }
+    return null;
+  },
+  throttle: (changes, merged) => {
+    const nonNegative = ['min_delay_ms', 'max_delay_ms', 'burst_pause_ms', 'recipient_cooldown_ms']
+      .filter(key => changes[key] !== undefined && !isNonNegativeInteger(changes[key]));
+    if (nonNegative.length > 0) return `${nonNegative.join(', ')} must be non-negative integers`;
+    const positive = ['burst_size', 'hourly_cap', 'daily_cap']
+      .filter(key => changes[key] !== undefined && !isPositiveInteger(changes[key]));
+    if (positive.length > 0) return `${positive.join(', ')} must be positive integers`;
+    if (merged.min_delay_ms > merged.max_delay_ms) return 'min_delay_ms cannot be greater than max_delay_ms';
+    if (merged.hourly_cap > merged.daily_cap) return 'hourly_cap cannot be greater than daily_cap';
+    const quietHours = changes.quiet_hours;
+    if (quietHours !== undefined && quietHours !== null &&
+      (typeof quietHours !== 'object' || !isTimeOfDay(quietHours.start) || !isTimeOfDay(quietHours.end) || quietHours.start === quietHours.end)) {
+      return 'quiet_hours must be null or { start, end } in HH:MM format';
+    }
+    return null;
+  },
+  replies: (changes) => {
+    const invalid = ['accept_keywords', 'decline_keywords', 'opt_out_keywords', 'opt_in_keywords'].filter(key => changes[key] !== undefined &&
+      (!Array.isArray(changes[key]) || changes[key].some(keyword => typeof keyword !== 'string' || keyword.trim() === '')));
+    if (invalid.length > 0) return `${invalid.join(', ')} must be arrays of non-empty strings`;
+    return null;
+  },
+  calendar: (changes) => {
+    if (changes.attach_invites !== undefined && typeof changes.attach_invites !== 'boolean') return 'attach_invites must be a boolean';
+    if (changes.event_duration_hours !== undefined &&
+      (typeof changes.event_duration_hours !== 'number' || changes.event_duration_hours <= 0 || changes.event_duration_hours > 24)) {
+      return 'event_duration_hours must be a number between 0 and 24';
+    }
+    return null;
+  },
+  history: (changes) => {
+    if (changes.retention_days !== undefined && (!isPositiveInteger(changes.retention_days) || changes.retention_days > 3650)) {
+      return 'retention_days must be an integer between 1 and 3650';
+    }
+    return null;
+  }
+};
+
+const store = createStore('settings', { firms: {} }); // firmId -> { section -> overrides }
+
+const getSettings = (firmId, section) => ({
+  ...DEFAULTS[section],
+  ...((store.data.firms[firmId] || {})[section] || {})
+});
+
+const getAllSettings = (firmId) => Object.keys(DEFAULTS).reduce((all, section) => {
+  all[section] = getSettings(firmId, section);
+  return all;
+}, {});
+
+// Validate and merge changes for several sections at once, e.g. { retry: { max_attempts: 5 } }.
+// Nothing is saved unless every section is valid.
+const updateSettings = (firmId, sections) => {
+  for (const [section, changes] of Object.entries(sections)) {
+    if (!DEFAULTS[section]) return { error: `Unknown settings section: ${section}` };
+    if (!changes || typeof changes !== 'object' || Array.isArray(changes)) return { error: `${section} must be an object` };
+    const unknownKeys = Object.keys(changes).filter(key => !(key in DEFAULTS[section]));
+    if (unknownKeys.length > 0) return { error: `Unknown ${section} settings: ${unknownKeys.join(', ')}` };
+    const error = VALIDATORS[section] && VALIDATORS[section](changes, { ...getSettings(firmId, section), ...changes });
+    if (error) return { error };
+  }
+
+  const firmSettings = store.data.firms[firmId] || {};
+  Object.entries(sections).forEach(([section, changes]) => {
+    firmSettings[section] = { ...(firmSettings[section] || {}), ...changes };
+  });
+  store.data.firms[firmId] = firmSettings;
+  store.save();
+  return { settings: getAllSettings(firmId) };
+};
+
+module.exports = { getSettings, getAllSettings, updateSettings, isTimeOfDay, validateReminderOffsets };
@@ -0,0 +1,35 @@
+const fs = require('fs');
+const path = require('path');
+
+const DATA_DIR = process.env.DATA_DIR || './data';
+
+// Small JSON document store persisted to the data directory.
+// Writes go to a temp file first and are renamed into place so a crash
+// mid-write never leaves a truncated document behind.
+const createStore = (name, defaults = {}) => {
+  const filePath = path.join(DATA_DIR, `${name}.json`);
+  let data = defaults;
+
+  try {
+    if (fs.existsSync(filePath)) {
+      data = { ...defaults, ...JSON.parse(fs.readFileSync(filePath, 'utf8')) };
+    }
+  } catch (error) {
+    console.error(`❌ Failed to load ${filePath}, starting with defaults:`, error.message);
+  }
+
+  const save = () => {
+    try {
+      fs.mkdirSync(DATA_DIR, { recursive: true });
+      const tmpPath = `${filePath}.tmp`;
+      fs.writeFileSync(tmpPath, JSON.stringify(data));
+      fs.renameSync(tmpPath, filePath);
+    } catch (error) {
+      console.error(`❌ Failed to persist ${filePath}:`, error.message);
+    }
+  };
+
+  return { data, save };
+};
+
+module.exports = { createStore, DATA_DIR };
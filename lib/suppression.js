@@ -0,0 +1,50 @@
+const { createStore } = require('./store');
+const csv = require('./csv');
+
+const SOURCES = ['manual', 'keyword'];
+
+// Numbers a firm must not message. Entries added by a STOP reply can be lifted by a
+// START reply, entries added through the API only through the API.
+const store = createStore('suppression', { firms: {} }); // firmId -> { digits -> entry }
+
+const getEntries = (firmId) => store.data.firms[firmId] || {};
+
+const getEntry = (firmId, digits) => getEntries(firmId)[digits] || null;
+
+const isSuppressed = (firmId, digits) => Boolean(getEntry(firmId, digits));
+
+// Adds or updates an entry. A manual entry is never downgraded to a keyword one, so an
+// opted-out number that was also blocked by the firm stays blocked after START.
+const suppress = (firmId, digits, { source = 'manual', reason = null, note = null } = {}) => {
+  const existing = getEntry(firmId, digits);
+  const now = new Date().toISOString();
+  const entry = {
+    number: digits,
+    source: existing && existing.source === 'manual' ? 'manual' : source,
+    reason: reason || (existing ? existing.reason : null),
+    note: note !== null ? note : (existing ? existing.note : null),
+    created_at: existing ? existing.created_at : now,
+    updated_at: now
+  };
+  store.data.firms[firmId] = { ...getEntries(firmId), [digits]: entry };
+  store.save();
+  return entry;
+};
+
+// Removes an entry, optionally only when it came from the given source. Returns the removed entry or null.
+const unsuppress = (firmId, digits, { source } = {}) => {
+  const entry = getEntry(firmId, digits);
+  if (!entry || (source && entry.source !== source)) return null;
+  delete store.data.firms[firmId][digits];
+  store.save();
+  return entry;
+};
+
+// Entries newest first, e.g. { source: 'keyword' }
+const listSuppressed = (firmId, { source } = {}) => Object.values(getEntries(firmId))
+  .filter(entry => !source || entry.source === source)
+  .sort((a, b) => b.created_at.localeCompare(a.created_at));
+
+const toCsv = (entries) => csv.toCsv(['number', 'source', 'reason', 'note', 'created_at', 'updated_at'], entries);
+
+module.exports = { SOURCES, getEntry, isSuppressed, suppress, unsuppress, listSuppressed, toCsv };
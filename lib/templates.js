@@ -0,0 +1,463 @@
+const { createStore } = require('./store');
+const settings = require('./settings');
+
+const TYPES = [
+  'event_assignment',
+  'event_assignment_summary',
+  'event_assignment_update',
+  'event_assignment_cancellation',
+  'event_reminder',
+  'event_crew',
+  'task_assignment',
+  'task_group',
+  'custom'
+];
+
+// Built-in layouts, used unless a firm saves its own template under the same name.
+// Single-asterisk WhatsApp bold, `{{field}}` placeholders, `{{#if field}}...{{else}}...{{/if}}` blocks.
+const DEFAULT_TEMPLATES = {
+  event_assignment: {
+    type: 'event_assignment',
+    body: '*EVENT ASSIGNMENT*\n\n' +
+      'Hello *{{staff_name}}*,\n\n' +
+      'You are assigned as *{{role}}*{{#if day}} on *DAY {{day}}*{{/if}} for the following event:\n\n' +
+      '*Title*: {{title}}\n' +
+      '*Type*: {{event_type}}\n' +
+      '*Date*: {{date}}\n' +
+      '{{#if client_name}}*Client*: {{client_name}}\n{{/if}}' +
+      '{{#if venue}}*Venue*: {{venue}}\n{{/if}}' +
+      '*Contact*: {{contact}}\n' +
+      '{{#if description}}\n_{{description}}_\n{{/if}}' +
+      '\nThank you for being part of *{{firm_name}}*'
+  },
+  event_assignment_summary: {
+    type: 'event_assignment_summary',
+    body: '*EVENT ASSIGNMENT*\n\n' +
+      'Hello *{{staff_name}}*,\n\n' +
+      'You are assigned to the following event:\n\n' +
+      '*Title*: {{title}}\n' +
+      '*Type*: {{event_type}}\n' +
+      '*Date*: {{date}}\n' +
+      '{{#if client_name}}*Client*: {{client_name}}\n{{/if}}' +
+      '{{#if venue}}*Venue*: {{venue}}\n{{/if}}' +
+      '*Contact*: {{contact}}\n\n' +
+      '*Your schedule*:\n{{schedule}}\n' +
+      '{{#if description}}\n_{{description}}_\n{{/if}}' +
+      '\nThank you for being part of *{{firm_name}}*'
+  },
+  event_assignment_update: {
+    type: 'event_assignment_update',
+    body: '*UPDATED ASSIGNMENT*\n\n' +
+      'Hello *{{staff_name}}*,\n\n' +
+      'Your assignment for *{{title}}* has changed:\n\n' +
+      '{{changes}}\n\n' +
+      '*Your schedule now*:\n{{schedule}}\n\n' +
+      '*Date*: {{date}}\n' +
+      '{{#if venue}}*Venue*: {{venue}}\n{{/if}}' +
+      '\nThank you for being part of *{{firm_name}}*'
+  },
+  event_assignment_cancellation: {
+    type: 'event_assignment_cancellation',
+    body: '*ASSIGNMENT CANCELLED*\n\n' +
+      'Hello *{{staff_name}}*,\n\n' +
+      'You are no longer assigned to *{{title}}* ({{date}}). The following days are cancelled:\n\n' +
+      '{{schedule}}\n\n' +
+      'Thank you for being part of *{{firm_name}}*'
+  },
+  event_reminder: {
+    type: 'event_reminder',
+    body: '*EVENT REMINDER*\n\n' +
+      'Hello *{{staff_name}}*,\n\n' +
+      'This is a reminder that you are assigned as *{{role}}*{{#if day}} on *DAY {{day}}*{{/if}} for *{{title}}*, starting in {{starts_in}}.\n\n' +
+      '*Date*: {{reminder_date}}\n' +
+      '*Time*: {{start_time}}\n' +
+      '{{#if venue}}*Venue*: {{venue}}\n{{/if}}' +
+      '\nThank you for being part of *{{firm_name}}*'
+  },
+  event_crew: {
+    type: 'event_crew',
+    body: '*EVENT CREW*\n\n' +
+      '*Title*: {{title}}\n' +
+      '*Type*: {{event_type}}\n' +
+      '*Date*: {{date}}\n' +
+      '{{#if client_name}}*Client*: {{client_name}}\n{{/if}}' +
+      '{{#if venue}}*Venue*: {{venue}}\n{{/if}}' +
+      '\n*Crew* ({{crew_count}}):\n{{crew}}\n' +
+      '{{#if description}}\n_{{description}}_\n{{/if}}' +
+      '\nThank you for being part of *{{firm_name}}*'
+  },
+  task_assignment: {
+    type: 'task_assignment',
+    body: '*TASK ASSIGNMENT*\n\n' +
+      'Hello *{{staff_name}}*,\n\n' +
+      'You have been assigned a new task:\n\n' +
+      '*Title*: {{title}}\n' +
+      '*Type*: {{task_type}}\n' +
+      '*Priority*: {{priority}}\n' +
+      '{{#if due_date}}*Due*: {{due_date}}\n{{/if}}' +
+      '{{#if event_title}}*Event*: {{event_title}}\n{{/if}}' +
+      '{{#if amount}}*Amount*: ₹{{amount}}\n{{/if}}' +
+      '{{#if description}}\n*Details:*\n_{{description}}_\n{{/if}}' +
+      '\nThank you for being part of *{{firm_name}}*'
+  },
+  task_group: {
+    type: 'task_group',
+    body: '*TASK ASSIGNMENT*\n\n' +
+      '*Title*: {{title}}\n' +
+      '*Type*: {{task_type}}\n' +
+      '*Priority*: {{priority}}\n' +
+      '{{#if due_date}}*Due*: {{due_date}}\n{{/if}}' +
+      '{{#if event_title}}*Event*: {{event_title}}\n{{/if}}' +
+      '{{#if assignees}}*Assigned to*: {{assignees}}\n{{/if}}' +
+      '{{#if description}}\n*Details:*\n_{{description}}_\n{{/if}}' +
+      '\nThank you for being part of *{{firm_name}}*'
+  }
+};
+
+const store = createStore('templates', { firms: {} }); // firmId -> { name -> template }
+
+// Template engine
+
+const TAG_PATTERN = /\{\{\s*(#if\s+[\w.]+|else|\/if|[\w.]+)\s*\}\}/g;
+
+// Parse a template body into a tree of text, variable and if nodes. Throws on unbalanced blocks.
+const parse = (body) => {
+  const root = [];
+  const stack = [{ node: null, nodes: root }]; // open blocks and the branch we are appending to
+  let lastIndex = 0;
+  let match;
+
+  TAG_PATTERN.lastIndex = 0;
+  while ((match = TAG_PATTERN.exec(body))) {
+    const frame = stack[stack.length - 1];
+    if (match.index > lastIndex) frame.nodes.push({ text: body.slice(lastIndex, match.index) });
+    lastIndex = TAG_PATTERN.lastIndex;
+    const tag = match[1];
+
+    if (tag.startsWith('#if')) {
+      const node = { condition: tag.slice(3).trim(), children: [], otherwise: [] };
+      frame.nodes.push(node);
+      stack.push({ node, nodes: node.children });
+    } else if (tag === 'else') {
+      if (!frame.node || frame.nodes === frame.node.otherwise) throw new Error('{{else}} without a matching {{#if}}');
+      frame.nodes = frame.node.otherwise;
+    } else if (tag === '/if') {
+      if (!frame.node) throw new Error('{{/if}} without a matching {{#if}}');
+      stack.pop();
+    } else {
+      frame.nodes.push({ variable: tag });
+    }
+  }
+  if (stack.length > 1) throw new Error(`Unclosed {{#if ${stack[stack.length - 1].node.condition}}}`);
+  if (lastIndex < body.length) root.push({ text: body.slice(lastIndex) });
+  return root;
+};
+
+const lookup = (context, path) => path.split('.').reduce((value, key) => (value == null ? undefined : value[key]), context);
+
+// Empty strings, whitespace, zero and missing values all count as "not provided"
+const isPresent = (value) => {
+  if (value == null || value === false || value === 0) return false;
+  if (typeof value === 'string') return value.trim() !== '';
+  if (Array.isArray(value)) return value.length > 0;
+  return true;
+};
+
+const renderNodes = (nodes, context) => nodes.map(node => {
+  if (node.text !== undefined) return node.text;
+  if (node.variable !== undefined) {
+    const value = lookup(context, node.variable);
+    return value == null ? '' : String(value);
+  }
+  return renderNodes(isPresent(lookup(context, node.condition)) ? node.children : node.otherwise, context);
+}).join('');
+
+const render = (body, context) => renderNodes(parse(body), context);
+
+// Returns an error message when the body cannot be parsed, null otherwise
+const validate = (body) => {
+  try {
+    parse(body);
+    return null;
+  } catch (error) {
+    return error.message;
+  }
+};
+
+// Context builders - turn request payloads into the fields templates can use
+
+const formatDate = (dateString, options) => {
+  if (!dateString || dateString === 'undefined' || dateString === 'null') return 'Date not specified';
+  try {
+    let date;
+    if (typeof dateString === 'string' && dateString.match(/^\d{4}-\d{2}-\d{2}$/)) {
+      date = new Date(dateString + 'T00:00:00');
+    } else {
+      date = new Date(dateString);
+    }
+    if (isNaN(date.getTime())) return 'Invalid date';
+    return date.toLocaleDateString('en-IN', options);
+  } catch {
+    return 'Date formatting error';
+  }
+};
+
+const LONG_DATE = { day: 'numeric', month: 'long', year: 'numeric' };
+const FULL_DATE = { weekday: 'long', year: 'numeric', month: 'long', day: 'numeric' };
+
+const getOrdinalNumber = (num) => {
+  const suffixes = ['th', 'st', 'nd', 'rd'];
+  const v = num % 100;
+  return num + (suffixes[(v - 20) % 10] || suffixes[v] || suffixes[0]);
+};
+
+const getFirmName = (firmId) => settings.getSettings(firmId, 'branding').firm_name;
+
+const buildEventContext = (firmId, event, staff, assignment) => {
+  const totalDays = event.totalDays || event.total_days;
+  let date;
+  // For multi-day events, show full date range
+  if (totalDays && totalDays > 1) {
+    const startDate = new Date((event.eventDate || event.event_date) + 'T00:00:00');
+    const endDate = new Date(startDate);
+    endDate.setDate(startDate.getDate() + totalDays - 1);
+    date = `${startDate.toLocaleDateString('en-IN', LONG_DATE)} - ${endDate.toLocaleDateString('en-IN', LONG_DATE)}`;
+  } else {
+    date = formatDate(assignment ? assignment.day_date : (event.eventDate || event.event_date), LONG_DATE);
+  }
+
+  return {
+    firm_name: getFirmName(firmId),
+    staff_name: staff.full_name,
+    contact: staff.mobile_number,
+    role: (assignment ? assignment.role || 'STAFF' : event.role || staff.role || 'STAFF').toUpperCase(),
+    day: assignment ? getOrdinalNumber(assignment.day_number) : null,
+    day_date: assignment ? formatDate(assignment.day_date, LONG_DATE) : null,
+    title: event.title || 'Not specified',
+    event_type: event.eventType || event.event_type || 'Not specified',
+    date,
+    total_days: totalDays || 1,
+    client_name: event.clientName || event.client_name || null,
+    venue: event.venue || null,
+    description: event.description || null,
+    event,
+    staff,
+    assignment
+  };
+};
+
+const formatDay = (day) => {
+  const date = day.day_date ? ` - ${formatDate(day.day_date, LONG_DATE)}` : '';
+  const time = day.start_time ? ` from ${day.start_time}` : '';
+  return `*DAY ${day.day_number}*${date}: ${day.role}${time}`;
+};
+
+const formatChange = (change) => {
+  const show = (value, format) => (value ? format(value) : 'not set');
+  const asDate = (value) => formatDate(value, LONG_DATE);
+  switch (change.type) {
+    case 'day_added': return `• Added ${formatDay(change.day)}`;
+    case 'day_removed': return `• Removed ${formatDay(change.day)}`;
+    case 'role': return `• *DAY ${change.day_number}* role: ${change.from} → *${change.to}*`;
+    case 'day_date': return `• *DAY ${change.day_number}* date: ${show(change.from, asDate)} → *${show(change.to, asDate)}*`;
+    case 'start_time': return `• *DAY ${change.day_number}* time: ${show(change.from, String)} → *${show(change.to, String)}*`;
+    case 'venue': return `• Venue: ${show(change.from, String)} → *${show(change.to, String)}*`;
+    case 'event_date': return `• Date: ${show(change.from, asDate)} → *${show(change.to, asDate)}*`;
+    default: return `• ${change.type} changed`;
+  }
+};
+
+// Event context for one message covering all of a staff member's days, e.g. from assignments.resolveDays
+const buildAssignmentSummaryContext = (firmId, event, staff, days) => ({
+  ...buildEventContext(firmId, event, staff, null),
+  role: Array.from(new Set(days.map(day => day.role))).join(', '),
+  day_count: days.length,
+  schedule: days.map(day => `• ${formatDay(day)}`).join('\n'),
+  days
+});
+
+// Summary context plus the changes since the last message, e.g. from assignments.diffSnapshots
+const buildAssignmentUpdateContext = (firmId, event, staff, days, changes) => ({
+  ...buildAssignmentSummaryContext(firmId, event, staff, days),
+  changes: changes.map(formatChange).join('\n'),
+  change_list: changes
+});
+
+// Event context for a group chat: no single recipient, but the whole crew.
+// `crew` is [{ staff, days }] with days as from assignments.resolveDays.
+const buildCrewContext = (firmId, event, crew) => {
+  const { staff_name, contact, role, day, day_date, staff, assignment, ...details } = buildEventContext(firmId, event, {}, null);
+  const multiDay = details.total_days > 1;
+  return {
+    ...details,
+    crew_count: crew.length,
+    crew: crew.map(member => {
+      const roles = Array.from(new Set(member.days.map(entry => entry.role))).join(', ');
+      const dayList = multiDay ? ` (Day ${member.days.map(entry => entry.day_number).join(', ')})` : '';
+      return `• *${member.staff.full_name}* - ${roles}${dayList}`;
+    }).join('\n'),
+    crew_list: crew
+  };
+};
+
+const formatDuration = (hours) => {
+  if (hours >= 1) {
+    const rounded = Math.round(hours * 10) / 10;
+    return `${rounded} hour${rounded === 1 ? '' : 's'}`;
+  }
+  const minutes = Math.round(hours * 60);
+  return `${minutes} minute${minutes === 1 ? '' : 's'}`;
+};
+
+// Event context plus the day being reminded about and how far away it is
+const buildReminderContext = (firmId, event, staff, assignment, { date, startTime, offsetHours }) => ({
+  ...buildEventContext(firmId, event, staff, assignment),
+  reminder_date: formatDate(date, LONG_DATE),
+  start_time: startTime,
+  starts_in: formatDuration(offsetHours)
+});
+
+const buildTaskContext = (firmId, task, staff) => ({
+  firm_name: getFirmName(firmId),
+  staff_name: staff.full_name,
+  contact: staff.mobile_number,
+  title: task.title || 'Not specified',
+  task_type: task.taskType || task.task_type || 'General',
+  priority: task.priority || 'Medium',
+  due_date: (task.dueDate || task.due_date) ? formatDate(task.dueDate || task.due_date, FULL_DATE) : null,
+  event_title: task.eventTitle || task.event_title || null,
+  amount: task.amount && task.amount > 0 ? task.amount.toLocaleString() : null,
+  description: task.description || null,
+  task,
+  staff
+});
+
+// Task context for a group chat, naming everyone the task is assigned to
+const buildTaskGroupContext = (firmId, task, staffList) => {
+  const { staff_name, contact, staff, ...details } = buildTaskContext(firmId, task, {});
+  return {
+    ...details,
+    assignees: staffList.map(member => member.full_name).filter(Boolean).join(', ') || null,
+    staff_list: staffList
+  };
+};
+
+// Template storage
+
+// Names are used as object keys, so anything Object.prototype already has (`__proto__`, `constructor`, ...) is refused
+const isValidName = (name) => typeof name === 'string' && /^[\w-]{1,64}$/.test(name) && !(name in Object.prototype);
+
+// Only a key's own value, never one inherited from Object.prototype
+const ownValue = (object, key) => (Object.hasOwn(object, key) ? object[key] : undefined);
+
+const getFirmTemplates = (firmId) => ownValue(store.data.firms, firmId) || {};
+
+// A firm's own template, falling back to the built-in default of the same name
+const getTemplate = (firmId, name) => {
+  const template = ownValue(getFirmTemplates(firmId), name);
+  if (template) return { name, built_in: false, ...template };
+  const builtIn = ownValue(DEFAULT_TEMPLATES, name);
+  if (builtIn) return { name, built_in: true, ...builtIn };
+  return null;
+};
+
+const listTemplates = (firmId) => {
+  const names = new Set([...Object.keys(DEFAULT_TEMPLATES), ...Object.keys(getFirmTemplates(firmId))]);
+  return Array.from(names).map(name => getTemplate(firmId, name));
+};
+
+const saveTemplate = (firmId, name, { type, body }) => {
+  const firmTemplates = getFirmTemplates(firmId);
+  const existing = ownValue(firmTemplates, name);
+  const now = new Date().toISOString();
+  firmTemplates[name] = {
+    type,
+    body,
+    created_at: existing ? existing.created_at : now,
+    updated_at: now
+  };
+  store.data.firms[firmId] = firmTemplates;
+  store.save();
+  return getTemplate(firmId, name);
+};
+
+const deleteTemplate = (firmId, name) => {
+  const firmTemplates = getFirmTemplates(firmId);
+  if (!ownValue(firmTemplates, name)) return false;
+  delete firmTemplates[name];
+  store.save();
+  return true;
+};
+
+// Returns an error message if the template cannot be saved under this name, null otherwise
+const validateTemplate = (name, { type, body }) => {
+  const builtIn = ownValue(DEFAULT_TEMPLATES, name);
+  if (!TYPES.includes(type)) return `type must be one of: ${TYPES.join(', ')}`;
+  if (builtIn && builtIn.type !== type) return `Template ${name} must have type ${builtIn.type}`;
+  if (typeof body !== 'string' || body.trim() === '') return 'body must be a non-empty string';
+  return validate(body);
+};
+
+// Render a named template (or the built-in default for the type) for the given context.
+// Throws if the template does not exist or is of a different type.
+const renderTemplate = (firmId, name, type, context) => {
+  const template = getTemplate(firmId, name || type);
+  if (!template) throw new Error(`Template ${name} not found`);
+  if (template.type !== type) throw new Error(`Template ${name} is a ${template.type} template, expected ${type}`);
+  return render(template.body, context);
+};
+
+const formatEventMessage = (firmId, event, staff, assignment, templateName) =>
+  renderTemplate(firmId, templateName, 'event_assignment', buildEventContext(firmId, event, staff, assignment));
+
+const formatAssignmentSummary = (firmId, event, staff, days, templateName) =>
+  renderTemplate(firmId, templateName, 'event_assignment_summary', buildAssignmentSummaryContext(firmId, event, staff, days));
+
+const formatAssignmentUpdate = (firmId, event, staff, days, changes) =>
+  renderTemplate(firmId, null, 'event_assignment_update', buildAssignmentUpdateContext(firmId, event, staff, days, changes));
+
+// `days` are the ones the staff member was assigned before being dropped
+const formatAssignmentCancellation = (firmId, event, staff, days) =>
+  renderTemplate(firmId, null, 'event_assignment_cancellation', buildAssignmentSummaryContext(firmId, event, staff, days));
+
+const formatEventReminder = (firmId, event, staff, assignment, reminder) =>
+  renderTemplate(firmId, null, 'event_reminder', buildReminderContext(firmId, event, staff, assignment, reminder));
+
+const formatCrewMessage = (firmId, event, crew) =>
+  renderTemplate(firmId, null, 'event_crew', buildCrewContext(firmId, event, crew));
+
+const formatTaskMessage = (firmId, task, staff, templateName) =>
+  renderTemplate(firmId, templateName, 'task_assignment', buildTaskContext(firmId, task, staff));
+
+const formatTaskGroupMessage = (firmId, task, staffList) =>
+  renderTemplate(firmId, null, 'task_group', buildTaskGroupContext(firmId, task, staffList));
+
+const formatCustomMessage = (firmId, templateName, variables) =>
+  renderTemplate(firmId, templateName, 'custom', { firm_name: getFirmName(firmId), ...variables });
+
+module.exports = {
+  TYPES,
+  render,
+  isValidName,
+  validateTemplate,
+  getTemplate,
+  listTemplates,
+  saveTemplate,
+  deleteTemplate,
+  buildEventContext,
+  buildReminderContext,
+  buildTaskContext,
+  buildAssignmentSummaryContext,
+  buildAssignmentUpdateContext,
+  buildCrewContext,
+  buildTaskGroupContext,
+  formatEventMessage,
+  formatAssignmentSummary,
+  formatAssignmentUpdate,
+  formatAssignmentCancellation,
+  formatEventReminder,
+  formatCrewMessage,
+  formatTaskMessage,
+  formatTaskGroupMessage,
+  formatCustomMessage
+};
@@ -0,0 +1,103 @@
+const { createStore } = require('./store');
+const settings = require('./settings');
+const { getWindowEnd } = require('./time');
+
+const HOUR_MS = 60 * 60 * 1000;
+const DAY_MS = 24 * HOUR_MS;
+
+// Send history is persisted so a restart does not reset the hourly and daily caps
+const store = createStore('throttle', { firms: {} }); // firmId -> { sent: [ms], recipients: { digits: ms } }
+
+const bursts = new Map(); // firmId -> messages sent since the last burst pause
+
+const getFirmState = (firmId) => {
+  if (!store.data.firms[firmId]) store.data.firms[firmId] = { sent: [], recipients: {} };
+  return store.data.firms[firmId];
+};
+
+// Drop history older than every window we look at
+const prune = (state, now) => {
+  state.sent = state.sent.filter(timestamp => now - timestamp < DAY_MS);
+  for (const [digits, timestamp] of Object.entries(state.recipients)) {
+    if (now - timestamp >= DAY_MS) delete state.recipients[digits];
+  }
+};
+
+// Whether the firm may send right now. Returns { allowed: true } or
+// { allowed: false, reason, retry_at } for quiet hours and the hourly/daily caps.
+const checkFirm = (firmId, now = Date.now()) => {
+  const policy = settings.getSettings(firmId, 'throttle');
+  const state = getFirmState(firmId);
+
+  if (policy.quiet_hours) {
+    const { timezone } = settings.getSettings(firmId, 'locale');
+    const quietUntil = getWindowEnd(now, policy.quiet_hours, timezone);
+    if (quietUntil) return { allowed: false, reason: 'quiet_hours', retry_at: quietUntil };
+  }
+
+  const lastDay = state.sent.filter(timestamp => now - timestamp < DAY_MS);
+  if (lastDay.length >= policy.daily_cap) {
+    return { allowed: false, reason: 'daily_cap', retry_at: new Date(lastDay[lastDay.length - policy.daily_cap] + DAY_MS) };
+  }
+  const lastHour = lastDay.filter(timestamp => now - timestamp < HOUR_MS);
+  if (lastHour.length >= policy.hourly_cap) {
+    return { allowed: false, reason: 'hourly_cap', retry_at: new Date(lastHour[lastHour.length - policy.hourly_cap] + HOUR_MS) };
+  }
+
+  return { allowed: true };
+};
+
+// When this recipient may next be messaged, or null if they can be messaged now
+const getRecipientReadyAt = (firmId, digits, now = Date.now()) => {
+  const { recipient_cooldown_ms } = settings.getSettings(firmId, 'throttle');
+  const lastSent = getFirmState(firmId).recipients[digits];
+  if (!recipient_cooldown_ms || !lastSent || now - lastSent >= recipient_cooldown_ms) return null;
+  return new Date(lastSent + recipient_cooldown_ms);
+};
+
+const recordSend = (firmId, digits, now = Date.now()) => {
+  const { burst_pause_ms } = settings.getSettings(firmId, 'throttle');
+  const state = getFirmState(firmId);
+  const lastSent = state.sent[state.sent.length - 1];
+  // An idle gap as long as a burst pause starts a fresh burst
+  const burstCount = lastSent && now - lastSent < burst_pause_ms ? bursts.get(firmId) || 0 : 0;
+  bursts.set(firmId, burstCount + 1);
+
+  prune(state, now);
+  state.sent.push(now);
+  state.recipients[digits] = now;
+  store.save();
+};
+
+// Pause before the next send: a random delay within the firm's range, or the
+// burst pause once burst_size messages have gone out back to back
+const nextDelay = (firmId) => {
+  const policy = settings.getSettings(firmId, 'throttle');
+  if ((bursts.get(firmId) || 0) >= policy.burst_size) {
+    bursts.set(firmId, 0);
+    return policy.burst_pause_ms;
+  }
+  return policy.min_delay_ms + Math.floor(Math.random() * (policy.max_delay_ms - policy.min_delay_ms + 1));
+};
+
+const getPacingState = (firmId, now = Date.now()) => {
+  const policy = settings.getSettings(firmId, 'throttle');
+  const state = getFirmState(firmId);
+  const gate = checkFirm(firmId, now);
+  const sentLastHour = state.sent.filter(timestamp => now - timestamp < HOUR_MS).length;
+  const sentLastDay = state.sent.filter(timestamp => now - timestamp < DAY_MS).length;
+
+  return {
+    paused: !gate.allowed,
+    reason: gate.reason || null,
+    resumes_at: gate.retry_at ? gate.retry_at.toISOString() : null,
+    sent_last_hour: sentLastHour,
+    sent_last_24h: sentLastDay,
+    hourly_remaining: Math.max(policy.hourly_cap - sentLastHour, 0),
+    daily_remaining: Math.max(policy.daily_cap - sentLastDay, 0),
+    burst_count: bursts.get(firmId) || 0,
+    policy
+  };
+};
+
+module.exports = { checkFirm, getRecipientReadyAt, recordSend, nextDelay, getPacingState };
@@ -0,0 +1,69 @@
+// Offset in milliseconds between `timeZone` and UTC at the given instant
+const getTimeZoneOffset = (timestamp, timeZone) => {
+  const parts = new Intl.DateTimeFormat('en-US', {
+    timeZone,
+    hourCycle: 'h23',
+    year: 'numeric',
+    month: '2-digit',
+    day: '2-digit',
+    hour: '2-digit',
+    minute: '2-digit',
+    second: '2-digit'
+  }).formatToParts(new Date(timestamp)).reduce((values, part) => {
+    values[part.type] = parseInt(part.value, 10);
+    return values;
+  }, {});
+  const asUtc = Date.UTC(parts.year, parts.month - 1, parts.day, parts.hour, parts.minute, parts.second);
+  return asUtc - Math.floor(timestamp / 1000) * 1000;
+};
+
+// Convert a wall-clock date ('YYYY-MM-DD') and time ('HH:MM') in `timeZone` to a UTC Date
+const zonedTimeToUtc = (date, time, timeZone) => {
+  const [year, month, day] = date.split('-').map(Number);
+  const [hour, minute] = (time || '00:00').split(':').map(Number);
+  const guess = Date.UTC(year, month - 1, day, hour, minute);
+  // Apply the offset twice so times near a DST switch land on the right side of it
+  const firstPass = guess - getTimeZoneOffset(guess, timeZone);
+  return new Date(guess - getTimeZoneOffset(firstPass, timeZone));
+};
+
+// Minutes since local midnight in `timeZone` at the given instant
+const getLocalMinutes = (timestamp, timeZone) => {
+  const [hour, minute] = new Intl.DateTimeFormat('en-US', {
+    timeZone,
+    hourCycle: 'h23',
+    hour: '2-digit',
+    minute: '2-digit'
+  }).format(new Date(timestamp)).split(':').map(Number);
+  return hour * 60 + minute;
+};
+
+const toMinutes = (time) => {
+  const [hour, minute] = time.split(':').map(Number);
+  return hour * 60 + minute;
+};
+
+// If `timestamp` falls inside the daily window start-end ('HH:MM', may wrap past midnight)
+// in `timeZone`, returns when the window ends; otherwise null
+const getWindowEnd = (timestamp, { start, end }, timeZone) => {
+  const now = getLocalMinutes(timestamp, timeZone);
+  const startMinutes = toMinutes(start);
+  const endMinutes = toMinutes(end);
+  const inWindow = startMinutes <= endMinutes
+    ? now >= startMinutes && now < endMinutes
+    : now >= startMinutes || now < endMinutes;
+  if (!inWindow) return null;
+  const minutesLeft = (endMinutes - now + 24 * 60) % (24 * 60);
+  return new Date(timestamp + minutesLeft * 60 * 1000);
+};
+
+const isValidTimeZone = (timeZone) => {
+  try {
+    new Intl.DateTimeFormat('en-US', { timeZone });
+    return true;
+  } catch {
+    return false;
+  }
+};
+
+module.exports = { getTimeZoneOffset, zonedTimeToUtc, getLocalMinutes, getWindowEnd, isValidTimeZone };
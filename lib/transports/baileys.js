@@ -0,0 +1,210 @@
+const EventEmitter = require('events');
+
+// Baileys talks to WhatsApp over a websocket, no browser needed. It is an optional
+// dependency, so only require it when a firm actually selects this driver.
+const loadBaileys = () => {
+  try {
+    return require('baileys');
+  } catch (error) {
+    throw new Error('The baileys package is not installed, run `npm install baileys` to use this transport');
+  }
+};
+
+// Baileys message status codes mapped onto our delivery statuses
+const ACK_STATUSES = {
+  0: 'failed', // ERROR
+  3: 'delivered', // DELIVERY_ACK
+  4: 'read', // READ
+  5: 'read' // PLAYED
+};
+
+const MEDIA_KEYS = { image: 'image', video: 'video', audio: 'audio' };
+
+const toJid = (to) => (to.includes('@') ? to : `${to}@s.whatsapp.net`);
+
+const toDigits = (jid) => jid.split('@')[0].split(':')[0];
+
+const toGroup = (metadata) => ({
+  id: metadata.id,
+  name: metadata.subject,
+  participants: (metadata.participants || []).map(participant => toDigits(participant.id))
+});
+
+// Silent pino-compatible logger, Baileys is very chatty by default
+const silentLogger = {
+  level: 'silent',
+  child: () => silentLogger,
+  trace: () => {},
+  debug: () => {},
+  info: () => {},
+  warn: () => {},
+  error: () => {},
+  fatal: () => {}
+};
+
+const extractText = (message) => {
+  if (!message) return '';
+  return message.conversation ||
+    (message.extendedTextMessage && message.extendedTextMessage.text) ||
+    (message.imageMessage && message.imageMessage.caption) ||
+    (message.videoMessage && message.videoMessage.caption) ||
+    (message.documentMessage && message.documentMessage.caption) ||
+    '';
+};
+
+// Transport backed by Baileys, keeping its multi-file auth state next to the LocalAuth sessions
+const createBaileysTransport = (firmId, { sessionDir, pairingPhoneNumber, pairingCodeTtlMs }) => {
+  const baileys = loadBaileys();
+  const makeWASocket = baileys.default || baileys.makeWASocket;
+  const { useMultiFileAuthState, DisconnectReason, Browsers } = baileys;
+  const transport = new EventEmitter();
+  let socket = null;
+  let isOpen = false;
+  let isDestroyed = false;
+  let pairingCodeAt = 0;
+
+  const connect = async () => {
+    const { state, saveCreds } = await useMultiFileAuthState(`${sessionDir}/baileys`);
+    const hasSession = Boolean(state.creds && state.creds.registered);
+
+    socket = makeWASocket({
+      auth: state,
+      logger: silentLogger,
+      printQRInTerminal: false,
+      browser: Browsers.ubuntu('Chrome')
+    });
+
+    socket.ev.on('creds.update', saveCreds);
+
+    socket.ev.on('connection.update', ({ connection, lastDisconnect, qr }) => {
+      // A QR means the socket is waiting for a login, which is also when a pairing code can be requested.
+      // QRs rotate every few seconds, pairing codes are only renewed once they are about to expire.
+      if (qr && !pairingPhoneNumber) transport.emit('qr', qr);
+      if (qr && pairingPhoneNumber && Date.now() - pairingCodeAt >= pairingCodeTtlMs) {
+        pairingCodeAt = Date.now();
+        socket.requestPairingCode(pairingPhoneNumber)
+          .then(code => transport.emit('pairing_code', code))
+          .catch(error => {
+            pairingCodeAt = 0;
+            transport.emit('auth_failure', `Pairing code request failed: ${error.message}`);
+          });
+      }
+
+      if (connection === 'open') {
+        isOpen = true;
+        transport.emit('authenticated');
+        transport.emit('ready');
+      }
+
+      if (connection === 'close') {
+        const wasOpen = isOpen;
+        isOpen = false;
+        if (isDestroyed) return;
+        const statusCode = lastDisconnect && lastDisconnect.error && lastDisconnect.error.output
+          ? lastDisconnect.error.output.statusCode
+          : null;
+
+        // WhatsApp asks for a fresh socket right after pairing, that is part of the login flow
+        if (statusCode === DisconnectReason.restartRequired) {
+          connect().catch(error => transport.emit('disconnected', error.message));
+          return;
+        }
+        if (statusCode === DisconnectReason.loggedOut && !wasOpen && hasSession) {
+          transport.emit('auth_failure', 'Saved session was logged out');
+          return;
+        }
+        transport.emit('disconnected', statusCode === DisconnectReason.loggedOut ? 'LOGOUT' : `CONNECTION_CLOSED_${statusCode || 'UNKNOWN'}`);
+      }
+    });
+
+    socket.ev.on('messages.update', (updates) => {
+      updates.forEach(({ key, update }) => {
+        const status = update && ACK_STATUSES[update.status];
+        if (key.fromMe && status) transport.emit('ack', { id: key.id, status });
+      });
+    });
+
+    socket.ev.on('messages.upsert', ({ messages, type }) => {
+      if (type !== 'notify') return;
+      messages.forEach(msg => {
+        const jid = msg.key.remoteJid || '';
+        if (msg.key.fromMe || !jid.endsWith('@s.whatsapp.net')) return;
+        transport.emit('message', {
+          id: msg.key.id,
+          from: toDigits(jid),
+          body: extractText(msg.message),
+          timestamp: new Date(Number(msg.messageTimestamp) * 1000).toISOString()
+        });
+      });
+    });
+  };
+
+  const ensureOpen = () => {
+    if (!socket || !isOpen) throw new Error('Baileys socket is not connected');
+  };
+
+  transport.initialize = () => connect();
+
+  transport.sendText = async (to, text) => {
+    ensureOpen();
+    const sent = await socket.sendMessage(toJid(to), { text });
+    return { id: sent.key.id };
+  };
+
+  transport.sendMedia = async (to, { mimetype, data, filename }, caption) => {
+    ensureOpen();
+    const buffer = Buffer.from(data, 'base64');
+    const kind = MEDIA_KEYS[mimetype.split('/')[0]];
+    const content = kind
+      ? { [kind]: buffer, mimetype, caption }
+      : { document: buffer, mimetype, fileName: filename, caption };
+    const sent = await socket.sendMessage(toJid(to), content);
+    return { id: sent.key.id };
+  };
+
+  transport.isRegistered = async (digits) => {
+    ensureOpen();
+    const [result] = await socket.onWhatsApp(toJid(digits));
+    return Boolean(result && result.exists);
+  };
+
+  transport.listGroups = async () => {
+    ensureOpen();
+    const groups = await socket.groupFetchAllParticipating();
+    return Object.values(groups).map(toGroup);
+  };
+
+  transport.getGroup = async (groupId) => {
+    ensureOpen();
+    try {
+      return toGroup(await socket.groupMetadata(groupId));
+    } catch (error) {
+      return null;
+    }
+  };
+
+  transport.createGroup = async (name, digitsList) => {
+    ensureOpen();
+    const metadata = await socket.groupCreate(name, digitsList.map(toJid));
+    return { id: metadata.id };
+  };
+
+  transport.addParticipants = async (groupId, digitsList) => {
+    ensureOpen();
+    await socket.groupParticipantsUpdate(groupId, digitsList.map(toJid), 'add');
+  };
+
+  transport.removeParticipants = async (groupId, digitsList) => {
+    ensureOpen();
+    await socket.groupParticipantsUpdate(groupId, digitsList.map(toJid), 'remove');
+  };
+
+  transport.destroy = async () => {
+    isDestroyed = true;
+    if (socket) socket.end(undefined);
+  };
+
+  return transport;
+};
+
+module.exports = createBaileysTransport;
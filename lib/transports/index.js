@@ -0,0 +1,70 @@
+const fs = require('fs');
+const path = require('path');
+
+// Messaging transports. Every driver is a factory `(firmId, options) => transport` where
+// the transport is an EventEmitter exposing:
+//
+//   initialize()                              start connecting, resolves once the attempt has begun
+//   sendText(to, text)                        resolves to { id }
+//   sendMedia(to, { mimetype, data, filename }, caption)   data is base64, resolves to { id }
+//   isRegistered(digits)                      resolves to true when the number has a WhatsApp account
+//   listGroups()                              resolves to [{ id, name, participants }] for every group the account is in
+//   getGroup(groupId)                         resolves to { id, name, participants }, or null when the account is not in it
+//   createGroup(name, digitsList)             resolves to { id }
+//   addParticipants(groupId, digitsList)      resolves once the numbers were added
+//   removeParticipants(groupId, digitsList)   resolves once the numbers were removed
+//   destroy()                                 close the session, keeping saved auth data
+//   getProcessId()                            optional, pid of a browser the driver runs, for memory reporting
+//
+// `to` is E.164 digits (no '+') for individual chats, or a group id (`<digits>@g.us`) for groups.
+// Group `participants` are E.164 digits. Events, with driver-neutral payloads:
+//
+//   qr (qrString), pairing_code (code), authenticated, ready, auth_failure (message), disconnected (reason),
+//   ack ({ id, status })                      status is 'delivered', 'read' or 'failed'
+//   message ({ id, from, body, timestamp })   inbound message from an individual chat, `from` is digits
+//
+// Drivers that keep login state on disk store it under `options.sessionDir`. When
+// `options.pairingPhoneNumber` (E.164 digits) is set the driver logs in with a phone-number
+// pairing code instead of a QR code, emitting `pairing_code` and a fresh code every
+// `options.pairingCodeTtlMs` until the code is entered on the phone.
+//
+// Drivers are required lazily so a deployment only needs the libraries for the drivers it uses.
+const DRIVERS = {
+  'whatsapp-web': () => require('./whatsappWeb'),
+  baileys: () => require('./baileys'),
+  mock: () => require('./mock')
+};
+
+const DEFAULT_DRIVER = process.env.DEFAULT_TRANSPORT || 'whatsapp-web';
+
+// WhatsApp pairing codes stop working after about three minutes
+const PAIRING_CODE_TTL_MS = 3 * 60 * 1000;
+
+// Saved login state for every driver of a firm lives in one directory next to the service
+const getSessionDir = (firmId) => `./whatsapp-session-${firmId}`;
+
+// Delete a firm's saved login state, so the next connect starts from a fresh QR code
+const removeSessionData = async (firmId) => {
+  const sessionDir = path.resolve(getSessionDir(firmId));
+  // Firm ids come from requests, never follow one outside the working directory
+  if (path.dirname(sessionDir) !== process.cwd()) throw new Error(`Refusing to remove session data outside ${process.cwd()}`);
+  await fs.promises.rm(sessionDir, { recursive: true, force: true });
+};
+
+// The mock driver fakes every send, so it has to be switched on explicitly
+const isDriverEnabled = (driver) => Boolean(DRIVERS[driver]) && (driver !== 'mock' || process.env.ENABLE_MOCK_TRANSPORT === 'true');
+
+const getDrivers = () => Object.keys(DRIVERS).filter(isDriverEnabled);
+
+const createTransport = (driver, firmId, options = {}) => {
+  if (!isDriverEnabled(driver)) throw new Error(`Transport ${driver} is not available`);
+  const transport = DRIVERS[driver]()(firmId, {
+    sessionDir: getSessionDir(firmId),
+    pairingCodeTtlMs: PAIRING_CODE_TTL_MS,
+    ...options
+  });
+  transport.driver = driver;
+  return transport;
+};
+
+module.exports = { DEFAULT_DRIVER, PAIRING_CODE_TTL_MS, isDriverEnabled, getDrivers, createTransport, removeSessionData };
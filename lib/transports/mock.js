@@ -0,0 +1,139 @@
+const EventEmitter = require('events');
+const { v4: uuidv4 } = require('uuid');
+
+const parseList = (value) => (value || '').split(',').map(item => item.trim()).filter(Boolean);
+
+// In-memory transport for offline testing. It walks through QR (or pairing code) -> authenticated -> ready on
+// its own, records every send, acks messages as delivered and then read, and fails on demand.
+// Behaviour can be tuned with options or the MOCK_TRANSPORT_* environment variables.
+const createMockTransport = (firmId, options = {}) => {
+  const transport = new EventEmitter();
+  const behaviour = {
+    autoScan: options.autoScan !== undefined ? options.autoScan : process.env.MOCK_TRANSPORT_AUTO_SCAN !== 'false',
+    stepDelayMs: options.stepDelayMs || parseInt(process.env.MOCK_TRANSPORT_STEP_DELAY_MS, 10) || 200,
+    ackDelayMs: options.ackDelayMs || parseInt(process.env.MOCK_TRANSPORT_ACK_DELAY_MS, 10) || 500,
+    failNumbers: options.failNumbers || parseList(process.env.MOCK_TRANSPORT_FAIL_NUMBERS),
+    unregisteredNumbers: options.unregisteredNumbers || parseList(process.env.MOCK_TRANSPORT_UNREGISTERED)
+  };
+  const timers = new Set();
+  let isReady = false;
+
+  const later = (fn, delay) => {
+    const timer = setTimeout(() => {
+      timers.delete(timer);
+      fn();
+    }, delay);
+    timers.add(timer);
+  };
+
+  transport.sent = []; // every message "sent" through this transport, for inspection
+  transport.groups = new Map(); // groupId -> { id, name, participants } the account is in
+
+  transport.initialize = async () => {
+    later(() => {
+      if (options.pairingPhoneNumber) {
+        transport.emit('pairing_code', uuidv4().replace(/-/g, '').slice(0, 8).toUpperCase());
+      } else {
+        transport.emit('qr', `mock-qr:${firmId}:${Date.now()}`);
+      }
+      if (behaviour.autoScan) later(() => transport.scan(), behaviour.stepDelayMs);
+    }, behaviour.stepDelayMs);
+  };
+
+  // Pretend the QR code was scanned or the pairing code entered
+  transport.scan = () => {
+    transport.emit('authenticated');
+    isReady = true;
+    transport.emit('ready');
+  };
+
+  const send = async (to, payload) => {
+    if (!isReady) throw new Error('Mock transport is not ready');
+    if (behaviour.unregisteredNumbers.includes(to)) throw new Error(`Phone number ${to} is not registered on WhatsApp`);
+    if (behaviour.failNumbers.includes(to)) throw new Error('Protocol error (Runtime.callFunctionOn): Target closed');
+    if (to.endsWith('@g.us') && !transport.groups.has(to)) throw new Error(`Group ${to} not found`);
+
+    const id = `mock-${uuidv4()}`;
+    transport.sent.push({ id, to, ...payload, sent_at: new Date().toISOString() });
+    later(() => transport.emit('ack', { id, status: 'delivered' }), behaviour.ackDelayMs);
+    later(() => transport.emit('ack', { id, status: 'read' }), behaviour.ackDelayMs * 2);
+    return { id };
+  };
+
+  transport.sendText = (to, text) => send(to, { text });
+
+  transport.sendMedia = (to, { mimetype, filename }, caption) => send(to, { mimetype, filename, caption });
+
+  transport.isRegistered = async (digits) => !behaviour.unregisteredNumbers.includes(digits);
+
+  const ensureReady = () => {
+    if (!isReady) throw new Error('Mock transport is not ready');
+  };
+
+  const findGroup = (groupId) => {
+    const group = transport.groups.get(groupId);
+    if (!group) throw new Error(`Group ${groupId} not found`);
+    return group;
+  };
+
+  transport.listGroups = async () => {
+    ensureReady();
+    return Array.from(transport.groups.values()).map(group => ({ ...group, participants: [...group.participants] }));
+  };
+
+  transport.getGroup = async (groupId) => {
+    ensureReady();
+    const group = transport.groups.get(groupId);
+    return group ? { ...group, participants: [...group.participants] } : null;
+  };
+
+  transport.createGroup = async (name, digitsList) => {
+    ensureReady();
+    const id = `${Date.now()}${Math.floor(Math.random() * 1000000)}@g.us`;
+    transport.groups.set(id, { id, name, participants: [...digitsList] });
+    return { id };
+  };
+
+  transport.addParticipants = async (groupId, digitsList) => {
+    ensureReady();
+    const group = findGroup(groupId);
+    group.participants = Array.from(new Set([...group.participants, ...digitsList]));
+  };
+
+  transport.removeParticipants = async (groupId, digitsList) => {
+    ensureReady();
+    const group = findGroup(groupId);
+    group.participants = group.participants.filter(digits => !digitsList.includes(digits));
+  };
+
+  transport.destroy = async () => {
+    isReady = false;
+    timers.forEach(timer => clearTimeout(timer));
+    timers.clear();
+  };
+
+  // Test hooks
+  transport.simulateIncoming = (from, body) => {
+    transport.emit('message', { id: `mock-${uuidv4()}`, from, body, timestamp: new Date().toISOString() });
+  };
+
+  // A group the account was added to outside the service, returns its id
+  transport.simulateGroup = (name, participants = []) => {
+    const id = `${Date.now()}${Math.floor(Math.random() * 1000000)}@g.us`;
+    transport.groups.set(id, { id, name, participants: [...participants] });
+    return id;
+  };
+
+  transport.simulateDisconnect = (reason = 'MOCK_DISCONNECT') => {
+    isReady = false;
+    transport.emit('disconnected', reason);
+  };
+
+  transport.simulateAuthFailure = (message = 'Mock authentication failure') => {
+    transport.emit('auth_failure', message);
+  };
+
+  return transport;
+};
+
+module.exports = createMockTransport;
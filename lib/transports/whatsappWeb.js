@@ -0,0 +1,145 @@
+const EventEmitter = require('events');
+const { Client, LocalAuth, MessageMedia } = require('whatsapp-web.js');
+
+// whatsapp-web.js ack levels mapped onto our delivery statuses
+const ACK_STATUSES = {
+  [-1]: 'failed', // ACK_ERROR
+  2: 'delivered', // ACK_DEVICE
+  3: 'read', // ACK_READ
+  4: 'read' // ACK_PLAYED (voice notes / video)
+};
+
+const toChatId = (to) => (to.includes('@') ? to : `${to}@c.us`);
+
+const toGroup = (chat) => ({
+  id: chat.id._serialized,
+  name: chat.name,
+  participants: (chat.participants || []).map(participant => participant.id.user)
+});
+
+// Transport backed by whatsapp-web.js driving a headless Chromium
+const createWhatsAppWebTransport = (firmId, { sessionDir, pairingPhoneNumber, pairingCodeTtlMs }) => {
+  const transport = new EventEmitter();
+
+  const client = new Client({
+    authStrategy: new LocalAuth({ dataPath: sessionDir }),
+    ...(pairingPhoneNumber && {
+      pairWithPhoneNumber: { phoneNumber: pairingPhoneNumber, showNotification: true, intervalMs: pairingCodeTtlMs }
+    }),
+    puppeteer: {
+      headless: true,
+      args: [
+        '--no-sandbox',
+        '--disable-setuid-sandbox',
+        '--disable-dev-shm-usage',
+        '--disable-accelerated-2d-canvas',
+        '--no-first-run',
+        '--no-zygote',
+        '--single-process',
+        '--disable-gpu'
+      ]
+    }
+  });
+
+  client.on('qr', (qr) => transport.emit('qr', qr));
+  client.on('code', (code) => transport.emit('pairing_code', code));
+  client.on('authenticated', () => transport.emit('authenticated'));
+  client.on('ready', () => transport.emit('ready'));
+  client.on('auth_failure', (msg) => transport.emit('auth_failure', msg));
+  client.on('disconnected', (reason) => transport.emit('disconnected', reason));
+
+  client.on('message_ack', (msg, ack) => {
+    const status = ACK_STATUSES[ack];
+    if (status) transport.emit('ack', { id: msg.id._serialized, status });
+  });
+
+  // Newer WhatsApp clients often message from a privacy id (`<id>@lid`) instead of `<number>@c.us`,
+  // which is looked up to the phone number behind it. Resolves to E.164 digits, or null when unknown.
+  const resolveSenderNumber = async (msg) => {
+    if (msg.from.endsWith('@c.us')) return msg.from.replace('@c.us', '');
+    if (typeof client.getContactLidAndPhone === 'function') {
+      const [entry] = await client.getContactLidAndPhone([msg.from]);
+      if (entry && entry.pn) return entry.pn.replace(/@.*$/, '');
+    }
+    const contact = await msg.getContact();
+    return contact && /^\d+$/.test(contact.number || '') ? contact.number : null;
+  };
+
+  // Individual chats only, group, status and channel messages are skipped
+  client.on('message', async (msg) => {
+    if (msg.fromMe || /@(g\.us|broadcast|newsletter)$/.test(msg.from)) return;
+    let from;
+    try {
+      from = await resolveSenderNumber(msg);
+    } catch (error) {
+      console.error(`❌ Could not look up the sender of message ${msg.id._serialized} for firm ${firmId}:`, error.message);
+      return;
+    }
+    if (!from) {
+      console.warn(`⚠️ Skipping message ${msg.id._serialized} for firm ${firmId}: no phone number for sender ${msg.from}`);
+      return;
+    }
+    transport.emit('message', {
+      id: msg.id._serialized,
+      from,
+      body: msg.body || '',
+      timestamp: new Date(msg.timestamp * 1000).toISOString()
+    });
+  });
+
+  transport.initialize = () => client.initialize();
+
+  transport.sendText = async (to, text) => {
+    const sent = await client.sendMessage(toChatId(to), text);
+    return { id: sent.id._serialized };
+  };
+
+  transport.sendMedia = async (to, { mimetype, data, filename }, caption) => {
+    const sent = await client.sendMessage(toChatId(to), new MessageMedia(mimetype, data, filename), { caption });
+    return { id: sent.id._serialized };
+  };
+
+  transport.isRegistered = (digits) => client.isRegisteredUser(toChatId(digits));
+
+  transport.listGroups = async () => {
+    const chats = await client.getChats();
+    return chats.filter(chat => chat.isGroup).map(toGroup);
+  };
+
+  transport.getGroup = async (groupId) => {
+    try {
+      const chat = await client.getChatById(groupId);
+      return chat && chat.isGroup ? toGroup(chat) : null;
+    } catch (error) {
+      return null;
+    }
+  };
+
+  transport.createGroup = async (name, digitsList) => {
+    const created = await client.createGroup(name, digitsList.map(toChatId));
+    if (typeof created === 'string') throw new Error(created);
+    // Older whatsapp-web.js releases return the id as a string, newer ones as a ChatId
+    return { id: typeof created.gid === 'string' ? created.gid : created.gid._serialized };
+  };
+
+  transport.addParticipants = async (groupId, digitsList) => {
+    const chat = await client.getChatById(groupId);
+    await chat.addParticipants(digitsList.map(toChatId));
+  };
+
+  transport.removeParticipants = async (groupId, digitsList) => {
+    const chat = await client.getChatById(groupId);
+    await chat.removeParticipants(digitsList.map(toChatId));
+  };
+
+  transport.destroy = () => client.destroy();
+
+  transport.getProcessId = () => {
+    const browserProcess = client.pupBrowser && client.pupBrowser.process();
+    return browserProcess ? browserProcess.pid : null;
+  };
+
+  return transport;
+};
+
+module.exports = createWhatsAppWebTransport;
@@ -0,0 +1,207 @@
+const crypto = require('crypto');
+const dns = require('dns');
+const http = require('http');
+const https = require('https');
+const net = require('net');
+const { v4: uuidv4 } = require('uuid');
+const { createStore } = require('./store');
+
+const MAX_ATTEMPTS = parseInt(process.env.WEBHOOK_MAX_ATTEMPTS, 10) || 5;
+const BASE_DELAY_MS = 2000;
+const REQUEST_TIMEOUT_MS = 10000;
+const DELIVERY_LOG_LIMIT = 200; // per firm
+// Plain http is only for local development, webhook payloads carry staff numbers and replies
+const ALLOW_HTTP = process.env.WEBHOOK_ALLOW_HTTP === 'true';
+
+// Webhooks must not reach the service's own network: loopback, private and link-local ranges
+// (including the cloud metadata address 169.254.169.254), and anything else that is not public
+const BLOCKED_ADDRESSES = new net.BlockList();
+[
+  ['0.0.0.0', 8], ['10.0.0.0', 8], ['100.64.0.0', 10], ['127.0.0.0', 8], ['169.254.0.0', 16], ['172.16.0.0', 12],
+  ['192.0.0.0', 24], ['192.168.0.0', 16], ['198.18.0.0', 15], ['224.0.0.0', 4], ['240.0.0.0', 4]
+].forEach(([address, prefix]) => BLOCKED_ADDRESSES.addSubnet(address, prefix, 'ipv4'));
+[
+  ['::', 128], ['::1', 128], ['fc00::', 7], ['fe80::', 10], ['ff00::', 8]
+].forEach(([address, prefix]) => BLOCKED_ADDRESSES.addSubnet(address, prefix, 'ipv6'));
+
+const EVENTS = ['qr', 'pairing_code', 'authenticated', 'ready', 'auth_failure', 'disconnected', 'message.status', 'message.reply', 'suppression.added', 'suppression.removed', 'group.created', 'group.updated'];
+
+const store = createStore('webhooks', {
+  hooks: {}, // firmId -> { url, secret, events, created_at }
+  deliveries: {} // firmId -> [delivery], newest first
+});
+
+const generateSecret = () => crypto.randomBytes(32).toString('hex');
+
+// Signature over `<timestamp>.<body>` so receivers can reject replays
+const sign = (secret, timestamp, body) =>
+  'sha256=' + crypto.createHmac('sha256', secret).update(`${timestamp}.${body}`).digest('hex');
+
+// IPv4-mapped IPv6 addresses (::ffff:127.0.0.1) are matched against the IPv4 ranges too
+const isBlockedAddress = (address) => BLOCKED_ADDRESSES.check(address, net.isIPv6(address) ? 'ipv6' : 'ipv4');
+
+// Checked on registration and again before every delivery. Deliveries also resolve the host through
+// safeLookup, so a host that passed this check cannot switch to a blocked address (DNS rebinding).
+// Resolves to { error } for a URL webhooks may not be sent to, or {}.
+const checkUrl = async (url) => {
+  let parsed;
+  try {
+    parsed = new URL(url);
+  } catch {
+    return { error: 'url must be a valid URL' };
+  }
+  if (parsed.protocol !== 'https:' && !(ALLOW_HTTP && parsed.protocol === 'http:')) {
+    return { error: ALLOW_HTTP ? 'url must be an http(s) URL' : 'url must be an https URL' };
+  }
+
+  const hostname = parsed.hostname.replace(/^\[(.*)\]$/, '$1');
+  let addresses;
+  try {
+    addresses = await dns.promises.lookup(hostname, { all: true, verbatim: true });
+  } catch (error) {
+    return { error: `url host could not be resolved: ${hostname}` };
+  }
+  if (addresses.length === 0 || addresses.some(({ address }) => isBlockedAddress(address))) {
+    return { error: 'url must point to a public address' };
+  }
+  return {};
+};
+
+// dns.lookup for webhook requests that fails instead of returning a blocked address. The request
+// connects to the address resolved here, so what is checked is what is connected to.
+const safeLookup = (hostname, options, callback) => {
+  dns.lookup(hostname, options, (error, address, family) => {
+    if (error) return callback(error);
+    const addresses = Array.isArray(address) ? address : [{ address, family }];
+    if (addresses.some(entry => isBlockedAddress(entry.address))) {
+      return callback(new Error(`${hostname} resolved to a non-public address`));
+    }
+    callback(null, address, family);
+  });
+};
+
+// POST `body` to `url`, resolves to the response's HTTP status. Redirects are not followed, since
+// one could lead anywhere, including addresses checkUrl would have rejected.
+const post = (url, headers, body) => new Promise((resolve, reject) => {
+  const parsed = new URL(url);
+  const request = (parsed.protocol === 'https:' ? https : http).request(parsed, {
+    method: 'POST',
+    headers: { ...headers, 'Content-Length': Buffer.byteLength(body) },
+    lookup: safeLookup
+  }, (response) => {
+    clearTimeout(timer);
+    response.resume(); // The response body is not used
+    resolve(response.statusCode);
+  });
+  const timer = setTimeout(() => request.destroy(new Error(`Webhook timed out after ${REQUEST_TIMEOUT_MS}ms`)), REQUEST_TIMEOUT_MS);
+  request.on('error', (error) => {
+    clearTimeout(timer);
+    reject(error);
+  });
+  request.end(body);
+});
+
+const setWebhook = (firmId, { url, secret, events }) => {
+  store.data.hooks[firmId] = {
+    url,
+    secret: secret || generateSecret(),
+    events: events && events.length > 0 ? events : EVENTS,
+    created_at: new Date().toISOString()
+  };
+  store.save();
+  return store.data.hooks[firmId];
+};
+
+const getWebhook = (firmId) => store.data.hooks[firmId] || null;
+
+const removeWebhook = (firmId) => {
+  if (!store.data.hooks[firmId]) return false;
+  delete store.data.hooks[firmId];
+  store.save();
+  return true;
+};
+
+const getDeliveries = (firmId) => store.data.deliveries[firmId] || [];
+
+const attemptDelivery = async (firmId, delivery) => {
+  const hook = getWebhook(firmId);
+  if (!hook) {
+    delivery.status = 'cancelled';
+    store.save();
+    return;
+  }
+
+  const body = JSON.stringify(delivery.payload);
+  const timestamp = Math.floor(Date.now() / 1000).toString();
+  delivery.attempts++;
+  delivery.last_attempt_at = new Date().toISOString();
+
+  try {
+    const { error: urlError } = await checkUrl(hook.url);
+    if (urlError) throw new Error(`Webhook URL rejected: ${urlError}`);
+    const status = await post(hook.url, {
+      'Content-Type': 'application/json',
+      'X-Webhook-Id': delivery.id,
+      'X-Webhook-Event': delivery.event,
+      'X-Webhook-Timestamp': timestamp,
+      'X-Webhook-Signature': sign(hook.secret, timestamp, body)
+    }, body);
+    delivery.response_status = status;
+    if (status < 200 || status >= 300) throw new Error(`Webhook responded with HTTP ${status}`);
+    delivery.status = 'delivered';
+    delivery.error = null;
+  } catch (error) {
+    delivery.error = error.message;
+    if (delivery.attempts >= MAX_ATTEMPTS) {
+      delivery.status = 'failed';
+      console.error(`❌ Webhook ${delivery.event} for firm ${firmId} failed after ${delivery.attempts} attempts:`, error.message);
+    } else {
+      const delay = BASE_DELAY_MS * Math.pow(2, delivery.attempts - 1);
+      delivery.next_attempt_at = new Date(Date.now() + delay).toISOString();
+      setTimeout(() => attemptDelivery(firmId, delivery), delay);
+    }
+  }
+  store.save();
+};
+
+// Queue a signed POST of `event` to the firm's webhook, if one is registered
+const emit = (firmId, event, data = {}) => {
+  const hook = getWebhook(firmId);
+  if (!hook || !hook.events.includes(event)) return;
+
+  const delivery = {
+    id: uuidv4(),
+    event,
+    status: 'pending',
+    attempts: 0,
+    created_at: new Date().toISOString(),
+    payload: {
+      event,
+      firm_id: firmId,
+      timestamp: new Date().toISOString(),
+      data
+    }
+  };
+  const deliveries = getDeliveries(firmId);
+  deliveries.unshift(delivery);
+  store.data.deliveries[firmId] = deliveries.slice(0, DELIVERY_LOG_LIMIT);
+  store.save();
+  attemptDelivery(firmId, delivery);
+};
+
+// Resume deliveries that were still pending when the process stopped
+Object.entries(store.data.deliveries).forEach(([firmId, deliveries]) => {
+  deliveries
+    .filter(delivery => delivery.status === 'pending')
+    .forEach(delivery => attemptDelivery(firmId, delivery));
+});
+
+module.exports = {
+  EVENTS,
+  checkUrl,
+  setWebhook,
+  getWebhook,
+  removeWebhook,
+  getDeliveries,
+  emit
+};
@@ -1,11 +1,35 @@
 const express = require('express');
-const { Client, LocalAuth, MessageMedia } = require('whatsapp-web.js');
 const QRCode = require('qrcode');
 const cors = require('cors');
 const helmet = require('helmet');
 const rateLimit = require('express-rate-limit');
 const cron = require('node-cron');
 const { v4: uuidv4 } = require('uuid');
+const multer = require('multer');
+const fs = require('fs');
+const queue = require('./lib/queue');
+const webhooks = require('./lib/webhooks');
+const settings = require('./lib/settings');
+const { classifyError, getBackoffDelay } = require('./lib/retry');
+const auth = require('./lib/auth');
+const templates = require('./lib/templates');
+const reminders = require('./lib/reminders');
+const media = require('./lib/media');
+const phone = require('./lib/phone');
+const registration = require('./lib/registration');
+const inbox = require('./lib/inbox');
+const throttle = require('./lib/throttle');
+const sessionPool = require('./lib/sessionPool');
+const sessionRegistry = require('./lib/sessionRegistry');
+const eventStream = require('./lib/eventStream');
+const batches = require('./lib/batches');
+const idempotency = require('./lib/idempotency');
+const suppression = require('./lib/suppression');
+const assignments = require('./lib/assignments');
+const calendar = require('./lib/calendar');
+const history = require('./lib/history');
+const groups = require('./lib/groups');
+const { createTransport, removeSessionData, PAIRING_CODE_TTL_MS } = require('./lib/transports');
 
 const app = express();
 const PORT = process.env.PORT || 8080;
@@ -15,6 +39,12 @@ app.use(helmet());
 app.use(cors());
 app.use(express.json({ limit: '10mb' }));
 
+// Multipart uploads for /api/media are streamed to a temp file, then moved into the media store
+const upload = multer({
+  dest: media.UPLOAD_DIR,
+  limits: { fileSize: media.MAX_UPLOAD_SIZE, files: 1 }
+});
+
 // Rate limiting
 const limiter = rateLimit({
   windowMs: 15 * 60 * 1000,
@@ -23,77 +53,563 @@ const limiter = rateLimit({
 });
 app.use('/api/', limiter);
 
+// API key authentication - every /api route needs the firm's own key or the admin key
+const authenticate = (req, res, next) => {
+  const streamToken = req.method === 'GET' && /^\/events\/[^/]+$/.test(req.path) ? req.query.stream_token : null;
+  const requestAuth = auth.resolveKey(auth.extractKey(req)) || auth.resolveStreamToken(streamToken);
+  if (!requestAuth) {
+    return res.status(401).json({
+      success: false,
+      error: 'A valid API key is required'
+    });
+  }
+  req.auth = requestAuth;
+  
+  // Firm named in the body or query string; sessionId doubles as the firm id when firmId is absent
+  const body = req.body || {};
+  const malformedField = ['firmId', 'sessionId'].find(field => [body[field], req.query[field]]
+    .some(value => value !== undefined && value !== null && (typeof value !== 'string' || value.trim() === '')));
+  if (malformedField) {
+    return res.status(400).json({
+      success: false,
+      error: `${malformedField} must be a non-empty string`
+    });
+  }
+  const requestedFirm = body.firmId || body.sessionId || req.query.firmId || req.query.sessionId;
+  if (requestedFirm && !auth.canAccessFirm(requestAuth, String(requestedFirm))) {
+    return res.status(403).json({
+      success: false,
+      error: `API key does not have access to firm ${requestedFirm}`
+    });
+  }
+  next();
+};
+app.use('/api/', authenticate);
+
+// Same ownership check for firms named in the path
+app.param(['firmId', 'sessionId'], (req, res, next, firmId) => {
+  if (!auth.canAccessFirm(req.auth, firmId)) {
+    return res.status(403).json({
+      success: false,
+      error: `API key does not have access to firm ${firmId}`
+    });
+  }
+  next();
+});
+
+const requireAdmin = (req, res, next) => {
+  if (!req.auth || !req.auth.admin) {
+    return res.status(403).json({
+      success: false,
+      error: 'Admin API key required'
+    });
+  }
+  next();
+};
+
+// Express 4 does not catch rejected promises, so async routes hand their errors to the error handler
+// (which also releases the route's Idempotency-Key) instead of leaving the request hanging
+const asyncRoute = (handler) => (req, res, next) => {
+  Promise.resolve()
+    .then(() => handler(req, res, next))
+    .catch(next);
+};
+
+// Replay the stored response when a send request is repeated with the same Idempotency-Key,
+// e.g. a client retrying after a timeout, instead of queueing everything a second time
+const idempotent = (req, res, next) => {
+  const key = req.get('idempotency-key');
+  if (!key) return next();
+  
+  if (key.length > idempotency.MAX_KEY_LENGTH) {
+    return res.status(400).json({
+      success: false,
+      error: `Idempotency-Key must be at most ${idempotency.MAX_KEY_LENGTH} characters`
+    });
+  }
+  
+  // Keys are scoped to the firm and the route, so two firms can't collide on the same key
+  const scope = `${(req.body && req.body.firmId) || ''}:${req.path}`;
+  const { replay, conflict } = idempotency.begin(scope, key, req.body);
+  if (replay) {
+    res.set('Idempotent-Replayed', 'true');
+    return res.status(replay.status_code).json(replay.response);
+  }
+  if (conflict === 'in_progress') {
+    return res.status(409).json({
+      success: false,
+      error: 'A request with this Idempotency-Key is still being processed'
+    });
+  }
+  if (conflict === 'mismatch') {
+    return res.status(422).json({
+      success: false,
+      error: 'Idempotency-Key was already used for a different request'
+    });
+  }
+  
+  // Remember the outcome, except server errors and 503s which the client should be able to retry
+  const json = res.json.bind(res);
+  res.json = (body) => {
+    if (res.statusCode < 500) {
+      idempotency.complete(scope, key, res.statusCode, body);
+    } else {
+      idempotency.release(scope, key);
+    }
+    return json(body);
+  };
+  next();
+};
+
 // Global variables - Multi-session support for different firms
-const clients = new Map(); // firmId -> client instance
+const clients = new Map(); // firmId -> transport instance (see lib/transports)
 const qrCodes = new Map(); // firmId -> qr code data
+const pairingCodes = new Map(); // firmId -> { code, phone_number, expires_at } for phone-number logins
 const connectionStatuses = new Map(); // firmId -> status
-const messageQueues = new Map(); // firmId -> message queue
 const processingStates = new Map(); // firmId -> is processing boolean
+const queueWakeTimers = new Map(); // firmId -> { at, timer } for queues held back by pacing
+
+// Statuses in which sends are queued rather than rejected: the session is ready, or will be without a QR scan
+const QUEUEABLE_STATUSES = ['ready', 'hibernated', 'restoring'];
+const SESSION_RESTORE_STAGGER_MS = parseInt(process.env.SESSION_RESTORE_STAGGER_MS, 10) || 5000;
+
+const lastQueueStates = new Map(); // firmId -> last queue state pushed to the event stream
+
+// Push the firm's queue length and status counts to stream subscribers when they have changed
+const publishQueueState = (firmId) => {
+  const state = { queue_length: queue.getQueued(firmId).length, status_counts: queue.getStatusCounts(firmId) };
+  const serialized = JSON.stringify(state);
+  if (lastQueueStates.get(firmId) === serialized) return;
+  lastQueueStates.set(firmId, serialized);
+  eventStream.publish(firmId, 'queue', state);
+};
+
+// Send an event to the firm's webhook and live event stream
+const notify = (firmId, event, data) => {
+  webhooks.emit(firmId, event, data);
+  eventStream.publish(firmId, event, data);
+  if (event === 'message.status') publishQueueState(firmId);
+};
+
+const setConnectionStatus = (firmId, status) => {
+  if (connectionStatuses.get(firmId) === status) return;
+  connectionStatuses.set(firmId, status);
+  eventStream.publish(firmId, 'status', { status });
+};
+
+// Apply a message status change and notify the firm
+const updateMessageStatus = (firmId, messageId, status, changes) => {
+  const message = queue.setStatus(firmId, messageId, status, changes);
+  if (message) notify(firmId, 'message.status', serializeMessage(firmId, message));
+  return message;
+};
+
+// Retry transient send failures with backoff, dead-letter everything else
+const handleSendFailure = (firmId, messageId, attempts, error) => {
+  const policy = settings.getSettings(firmId, 'retry');
+  const errorType = classifyError(error);
+  
+  if (errorType === 'permanent' || attempts >= policy.max_attempts) {
+    console.error(`☠️ Message ${messageId} for firm ${firmId} moved to dead-letter after ${attempts} attempt(s) (${errorType} error)`);
+    updateMessageStatus(firmId, messageId, 'failed', { error: error.message, error_type: errorType });
+    return;
+  }
+  
+  const delay = getBackoffDelay(policy, attempts);
+  console.log(`🔁 Retrying message ${messageId} for firm ${firmId} in ${Math.round(delay / 1000)}s (attempt ${attempts}/${policy.max_attempts})`);
+  const message = queue.scheduleRetry(firmId, messageId, delay, error.message);
+  if (message) notify(firmId, 'message.status', serializeMessage(firmId, message));
+  setTimeout(() => processMessageQueue(firmId), delay);
+};
+
+// The .ics file of a message's calendar invite, as { mimetype, data (base64), filename }
+const loadInvite = (invite) => ({
+  mimetype: 'text/calendar',
+  data: Buffer.from(invite.content, 'utf8').toString('base64'),
+  filename: invite.filename
+});
+
+// Send a queued message as text, or as media with the text folded into the caption
+const sendQueuedMessage = (firmId, client, to, messageData) => {
+  // Calendar invites go out as a document in place of an attachment, a message never has both
+  if (messageData.invite) return client.sendMedia(to, loadInvite(messageData.invite), messageData.message);
+  
+  const { attachment } = messageData;
+  if (!attachment) return client.sendText(to, messageData.message);
+  
+  const file = media.loadMedia(firmId, attachment.media_id);
+  const caption = [messageData.message, attachment.caption].filter(Boolean).join('\n\n');
+  return client.sendMedia(to, file, caption || undefined);
+};
+
+// Run the firm's queue again once pacing allows, keeping only the earliest pending wake-up
+const scheduleQueueWake = (firmId, at) => {
+  const existing = queueWakeTimers.get(firmId);
+  if (existing && existing.at <= at.getTime()) return;
+  if (existing) clearTimeout(existing.timer);
+  
+  const timer = setTimeout(() => {
+    queueWakeTimers.delete(firmId);
+    processMessageQueue(firmId);
+  }, Math.max(at.getTime() - Date.now(), 0));
+  queueWakeTimers.set(firmId, { at: at.getTime(), timer });
+};
 
 // Message queue processing for specific firm
-const processMessageQueue = async (firmId) => {
+const runMessageQueue = async (firmId) => {
   const isProcessing = processingStates.get(firmId) || false;
-  const messageQueue = messageQueues.get(firmId) || [];
+  const queueLength = queue.getQueued(firmId).length;
   const client = clients.get(firmId);
   const isClientReady = connectionStatuses.get(firmId) === 'ready';
+  const isHibernated = connectionStatuses.get(firmId) === 'hibernated';
+  
+  publishQueueState(firmId);
+  if (isProcessing || queueLength === 0 || (!isClientReady && !isHibernated)) return;
+  if (!queue.nextQueued(firmId)) return; // Everything left is paused or waiting out a backoff
   
-  if (isProcessing || messageQueue.length === 0 || !isClientReady || !client) return;
+  // Quiet hours and send caps hold the whole queue until they lift
+  const gate = throttle.checkFirm(firmId);
+  if (!gate.allowed) {
+    scheduleQueueWake(firmId, gate.retry_at);
+    return;
+  }
+  
+  // The woken session picks the queue up once it is ready
+  if (isHibernated) {
+    wakeSession(firmId);
+    return;
+  }
+  if (!client) return;
   
   processingStates.set(firmId, true);
-  console.log(`Processing ${messageQueue.length} messages in queue for firm ${firmId}`);
+  console.log(`Processing ${queueLength} messages in queue for firm ${firmId}`);
   
-  while (messageQueue.length > 0 && isClientReady && client) {
-    const messageData = messageQueue.shift();
+  // Whatever goes wrong, the flag is cleared so the next run can pick the queue up again
+  try {
+    await drainMessageQueue(firmId, client);
+  } finally {
+    processingStates.set(firmId, false);
+  }
+  console.log(`✅ Queue processing completed for firm ${firmId}`);
+};
+
+// Send queued messages one by one while the firm's client stays ready and pacing allows
+const drainMessageQueue = async (firmId, client) => {
+  // Re-read the persisted queue on every iteration so clears and disconnects take effect immediately
+  let messageData;
+  while ((messageData = queue.nextQueued(firmId)) && connectionStatuses.get(firmId) === 'ready' && clients.get(firmId) === client) {
+    const pacing = throttle.checkFirm(firmId);
+    if (!pacing.allowed) {
+      console.log(`⏸️ Pausing queue for firm ${firmId} until ${pacing.retry_at.toISOString()} (${pacing.reason})`);
+      scheduleQueueWake(firmId, pacing.retry_at);
+      break;
+    }
+    
+    // Group messages go to the group id as is, it also keys the group's pacing
+    const { digits: formattedNumber, error: numberError } = messageData.group_id
+      ? { digits: messageData.group_id }
+      : normalizeRecipient(firmId, messageData.number);
+    if (!numberError && suppression.isSuppressed(firmId, formattedNumber)) {
+      // Queued before the number was suppressed, e.g. a retry or a requeued dead letter
+      updateMessageStatus(firmId, messageData.id, 'cancelled', { error: SUPPRESSED_ERROR });
+      continue;
+    }
+    const recipientReadyAt = !numberError && throttle.getRecipientReadyAt(firmId, formattedNumber);
+    if (recipientReadyAt) {
+      // Hold just this message back and carry on with other recipients
+      queue.updateMessage(firmId, messageData.id, { next_attempt_at: recipientReadyAt.toISOString() });
+      scheduleQueueWake(firmId, recipientReadyAt);
+      continue;
+    }
+    
+    const attempts = (messageData.attempts || 0) + 1;
+    updateMessageStatus(firmId, messageData.id, 'sending', { attempts });
     try {
-      const formattedNumber = formatPhoneNumber(messageData.number);
-      const chatId = formattedNumber + '@c.us';
-      await client.sendMessage(chatId, messageData.message);
+      if (numberError) throw new Error(numberError);
+      const sentMessage = await sendQueuedMessage(firmId, client, formattedNumber, messageData);
       console.log(`✅ Message sent to ${formattedNumber} for firm ${firmId}`);
-      if (messageData.statusCallback) messageData.statusCallback('sent');
-      await new Promise(resolve => setTimeout(resolve, 2000));
+      throttle.recordSend(firmId, formattedNumber);
+      sessionPool.touch(firmId);
+      updateMessageStatus(firmId, messageData.id, 'sent', { wa_message_id: sentMessage.id });
+      await new Promise(resolve => setTimeout(resolve, throttle.nextDelay(firmId)));
     } catch (error) {
-      console.error(`❌ Failed to send message to ${messageData.number} for firm ${firmId}:`, error.message);
-      if (messageData.statusCallback) messageData.statusCallback('failed', error.message);
+      console.error(`❌ Failed to send message to ${messageData.group_id || messageData.number} for firm ${firmId}:`, error.message);
+      handleSendFailure(firmId, messageData.id, attempts, error);
     }
   }
+};
+
+// Callers fire and forget, so failures are logged here rather than left as unhandled rejections
+const processMessageQueue = (firmId) => runMessageQueue(firmId).catch(error => {
+  console.error(`❌ Queue processing failed for firm ${firmId}:`, error);
+});
+
+// Public representation of a tracked message
+const serializeMessage = (firmId, message) => {
+  const { id, wa_message_id, invite, ...fields } = message;
+  // The invite itself is downloaded from /api/messages/:messageId/calendar
+  return { message_id: id, firm_id: firmId, ...fields, invite: invite ? { filename: invite.filename } : undefined };
+};
+
+// Validate an optional send_at timestamp from a request body
+const parseSendAt = (sendAt) => {
+  if (sendAt === undefined || sendAt === null || sendAt === '') return { sendAt: null };
+  const date = new Date(sendAt);
+  if (isNaN(date.getTime())) return { error: 'send_at must be a valid ISO 8601 timestamp' };
+  return { sendAt: date.toISOString() };
+};
+
+const initialStatus = (sendAt) => (sendAt && new Date(sendAt).getTime() > Date.now() ? 'scheduled' : 'queued');
+
+// How a staff send's results turned out: queued (or scheduled), suppressed, and skipped for any
+// other reason (invalid or unregistered number, duplicate, assignment unchanged)
+const countResults = (results) => {
+  const queued = results.filter(result => result.message_id).length;
+  const suppressed = results.filter(result => result.status === 'suppressed').length;
+  return { queued, skipped: results.length - queued - suppressed, suppressed };
+};
+
+// e.g. "3 event notifications queued for firm 1 (1 skipped, 1 suppressed)"
+const describeResults = (firmId, kind, sendAt, counts) =>
+  `${counts.queued} ${kind} notification${counts.queued === 1 ? '' : 's'} ${initialStatus(sendAt)} for firm ${firmId}` +
+  ` (${counts.skipped} skipped, ${counts.suppressed} suppressed)`;
+
+// Normalize a recipient to E.164 using the firm's default country
+const normalizeRecipient = (firmId, number) =>
+  phone.normalizeNumber(number, settings.getSettings(firmId, 'locale').default_country);
+
+// Check numbers against WhatsApp for a firm with a ready client, returns Map(digits -> result)
+const checkRegistration = (firmId, digitsList) => {
+  const client = clients.get(firmId);
+  return registration.checkNumbers(firmId, digitsList, digits => client.isRegistered(digits));
+};
+
+// E.164 digits of the given raw numbers that are definitely not on WhatsApp.
+// Numbers whose lookup failed are let through rather than dropped.
+const findUnregisteredRecipients = async (firmId, numbers) => {
+  const digitsList = numbers
+    .map(number => normalizeRecipient(firmId, number))
+    .filter(recipient => !recipient.error)
+    .map(recipient => recipient.digits);
+  const results = await checkRegistration(firmId, digitsList);
+  return new Set(Array.from(results).filter(([, result]) => result.registered === false).map(([digits]) => digits));
+};
+
+const UNREGISTERED_ERROR = 'Number is not registered on WhatsApp';
+const DUPLICATE_ERROR = 'An identical message to this number is already queued or was recently sent';
+const SUPPRESSED_ERROR = 'Number is on the firm\'s suppression list';
+const GROUP_DUPLICATE_ERROR = 'An identical message to this group is already queued or was recently sent';
+
+// Write the inline attachments that queued messages ended up using. Runs just before enqueueing,
+// so rejected requests and skipped messages never leave files behind.
+const saveAttachments = (preparedAttachments, queuedMessages) => {
+  const used = new Set(queuedMessages.map(message => message.attachment && message.attachment.media_id));
+  preparedAttachments.forEach(({ attachment, save }) => {
+    if (attachment && used.has(attachment.media_id)) save();
+  });
+};
+
+// Add a number to the suppression list and cancel everything still waiting to go to it
+const suppressNumber = (firmId, digits, options) => {
+  const entry = suppression.suppress(firmId, digits, options);
+  const cancelled = queue.cancelPending(firmId, { number: digits });
+  cancelled.forEach(message => notify(firmId, 'message.status', serializeMessage(firmId, message)));
+  notify(firmId, 'suppression.added', { ...entry, cancelled_message_ids: cancelled.map(message => message.id) });
+  return { entry, cancelled };
+};
+
+// Returns the removed entry, or null when the number was not suppressed (from that source)
+const unsuppressNumber = (firmId, digits, options) => {
+  const entry = suppression.unsuppress(firmId, digits, options);
+  if (entry) notify(firmId, 'suppression.removed', entry);
+  return entry;
+};
+
+// Task priorities that jump the queue, every other task goes in the normal lane
+const URGENT_TASK_PRIORITIES = ['urgent', 'high', 'critical'];
+
+const taskLane = (task) => (URGENT_TASK_PRIORITIES.includes(String(task.priority || '').toLowerCase()) ? 'urgent' : 'normal');
+
+// Priority lane for a send request: the request's `priority`, else the lane for what is being sent.
+// Returns { priority } or { error }.
+const resolvePriority = (requested, fallback) => {
+  if (requested === undefined) return { priority: fallback };
+  if (!queue.PRIORITIES.includes(requested)) return { error: `priority must be one of: ${queue.PRIORITIES.join(', ')}` };
+  return { priority: requested };
+};
+
+// Whether to attach .ics invites, from the request's `calendar_invite` or else the firm's `calendar` settings.
+// Returns { attach } or { error } when the request asks for invites it cannot have.
+const resolveCalendarInvite = (firmId, body, id, idField) => {
+  if (body.calendar_invite !== undefined && typeof body.calendar_invite !== 'boolean') {
+    return { error: 'calendar_invite must be a boolean' };
+  }
+  const hasId = id !== undefined && id !== null && id !== '';
+  if (body.calendar_invite === true) {
+    if (body.attachment) return { error: 'calendar_invite cannot be combined with an attachment' };
+    if (!hasId) return { error: `${idField} is required to attach calendar invites` };
+    return { attach: true };
+  }
+  if (body.calendar_invite === false) return { attach: false };
+  // The firm-wide default quietly gives way to an attachment
+  return { attach: settings.getSettings(firmId, 'calendar').attach_invites && !body.attachment && hasId };
+};
+
+// Carry a generated invite on the message about to be queued. Invites are small and only ever
+// belong to their message, so they are kept with it instead of in the firm's media store.
+const attachInvite = (queuedMessage, invite) => {
+  if (!invite) return;
+  queuedMessage.invite = { filename: invite.filename, content: invite.content };
+};
+
+// Validate an optional `group_ids` array from a request body, returns { groupIds } or { error }
+const parseGroupIds = (value) => {
+  if (value === undefined || value === null) return { groupIds: [] };
+  if (!Array.isArray(value)) return { error: 'group_ids must be an array of group ids' };
+  const groupIds = [];
+  for (const entry of value) {
+    const { group_id, error } = groups.normalizeGroupId(entry);
+    if (error) return { error };
+    if (!groupIds.includes(group_id)) groupIds.push(group_id);
+  }
+  return { groupIds };
+};
+
+// Add one message per group to `queuedMessages`, skipping groups that already have it. Returns the per-group results.
+const queueGroupMessages = (firmId, groupIds, fields, queuedMessages, allowDuplicates) => groupIds.map(groupId => {
+  const queuedMessage = { id: uuidv4(), group_id: groupId, ...fields, timestamp: new Date().toISOString() };
+  const duplicate = !allowDuplicates && queue.findDuplicate(firmId, queuedMessage, queuedMessages);
+  if (duplicate) {
+    return { group_id: groupId, success: false, status: 'duplicate', duplicate_of: duplicate.id, error: GROUP_DUPLICATE_ERROR };
+  }
+  queuedMessages.push(queuedMessage);
+  return { group_id: groupId, success: true, message_id: queuedMessage.id, status: initialStatus(fields.send_at) };
+});
+
+// Create the event's crew group, or bring the existing one in line with `members` (E.164 digits).
+// Only members the service added before are removed, and a group the account is no longer in is replaced.
+// Returns the stored crew group with what changed.
+const syncCrewGroup = async (firmId, event, name, members) => {
+  const client = clients.get(firmId);
+  const existing = groups.getCrewGroup(firmId, event.id);
+  const group = existing && await client.getGroup(existing.group_id);
   
-  processingStates.set(firmId, false);
-  console.log(`✅ Queue processing completed for firm ${firmId}`);
+  if (!group) {
+    const { id } = await client.createGroup(name, members);
+    const crewGroup = groups.saveCrewGroup(firmId, event.id, { group_id: id, name, members });
+    console.log(`👥 Crew group ${id} created for event ${event.id} of firm ${firmId}`);
+    notify(firmId, 'group.created', { ...crewGroup, added: members, removed: [] });
+    return { ...crewGroup, created: true, added: members, removed: [] };
+  }
+  
+  const participants = new Set(group.participants);
+  const added = members.filter(digits => !participants.has(digits));
+  const removed = existing.members.filter(digits => !members.includes(digits) && participants.has(digits));
+  if (added.length > 0) await client.addParticipants(group.id, added);
+  if (removed.length > 0) await client.removeParticipants(group.id, removed);
+  const crewGroup = groups.saveCrewGroup(firmId, event.id, { group_id: group.id, name: group.name, members });
+  if (added.length > 0 || removed.length > 0) {
+    console.log(`👥 Crew group ${group.id} of firm ${firmId}: ${added.length} added, ${removed.length} removed`);
+    notify(firmId, 'group.updated', { ...crewGroup, added, removed });
+  }
+  return { ...crewGroup, created: false, added, removed };
 };
 
-// Format phone number to international format
-const formatPhoneNumber = (phone) => {
-  const digits = phone.replace(/\D/g, '');
-  if (digits.startsWith('91') && digits.length === 12) return digits;
-  if (digits.length === 10) return '91' + digits;
-  if (digits.length >= 10) return '91' + digits.slice(-10);
-  return digits;
+// Group the messages of one send request into a batch, named by the caller or after what was sent.
+// Returns null when nothing was queued.
+const startBatch = (firmId, type, batchName, defaultName, messages) => {
+  if (messages.length === 0) return null;
+  const name = typeof batchName === 'string' && batchName.trim() ? batchName.trim().slice(0, 100) : defaultName;
+  const batch = batches.createBatch(firmId, { name, type, total: messages.length });
+  messages.forEach(message => {
+    message.batch_id = batch.id;
+  });
+  return batch;
+};
+
+const summarizeBatch = (firmId, batch) => batches.summarize(batch, queue.listMessages(firmId, { batch_id: batch.id }));
+
+// Close a firm's browser to free memory, keeping its saved auth so it can wake without a re-scan
+const hibernateSession = async (firmId, reason) => {
+  const client = clients.get(firmId);
+  if (!client) return;
+  
+  console.log(`💤 Hibernating session for firm ${firmId} (${reason})`);
+  clients.delete(firmId);
+  qrCodes.delete(firmId);
+  pairingCodes.delete(firmId);
+  setConnectionStatus(firmId, 'hibernated');
+  processingStates.set(firmId, false);
+  sessionPool.trackStop(firmId);
+  try {
+    await client.destroy();
+  } catch (error) {
+    console.error(`❌ Error hibernating client for firm ${firmId}:`, error.message);
+  }
 };
 
-// Initialize WhatsApp client for specific firm
-const initializeClient = (firmId) => {
-  console.log(`🚀 Initializing WhatsApp client for firm: ${firmId}`);
+// A ready session with nothing in flight that can be hibernated without losing work
+const isEvictable = (firmId) => connectionStatuses.get(firmId) === 'ready' &&
+  !processingStates.get(firmId) &&
+  !queue.nextQueued(firmId);
+
+// Start a firm's session within the concurrency cap, hibernating the least recently active
+// idle session to make room. Returns false when every running session is busy.
+const startSession = (firmId, options) => {
+  if (clients.has(firmId)) return true;
   
-  const client = new Client({
-    authStrategy: new LocalAuth({ dataPath: `./whatsapp-session-${firmId}` }),
-    puppeteer: {
-      headless: true,
-      args: [
-        '--no-sandbox',
-        '--disable-setuid-sandbox',
-        '--disable-dev-shm-usage',
-        '--disable-accelerated-2d-canvas',
-        '--no-first-run',
-        '--no-zygote',
-        '--single-process',
-        '--disable-gpu'
-      ]
+  if (!sessionPool.hasCapacity()) {
+    const evictee = sessionPool.pickLeastRecentlyActive(Array.from(clients.keys()).filter(isEvictable));
+    if (!evictee) {
+      console.log(`⏳ Session limit of ${sessionPool.MAX_ACTIVE_SESSIONS} reached, firm ${firmId} has to wait`);
+      return false;
     }
-  });
+    hibernateSession(evictee, `making room for firm ${firmId}`);
+  }
+  
+  initializeClient(firmId, options);
+  return true;
+};
+
+// Bring a hibernated firm back online, the cron retries if no slot is free yet
+const wakeSession = (firmId) => {
+  if (connectionStatuses.get(firmId) !== 'hibernated') return;
+  console.log(`⏰ Waking hibernated session for firm ${firmId}`);
+  startSession(firmId, { restoring: true });
+};
+
+// Switching between QR and pairing-code login needs a fresh client, since the login
+// method is fixed when the client starts. Sessions that are already logged in are left alone.
+const switchLoginMode = async (firmId, pairingPhoneNumber) => {
+  const client = clients.get(firmId);
+  const status = connectionStatuses.get(firmId);
+  if (!client || status === 'ready' || status === 'connected' || client.pairingPhoneNumber === pairingPhoneNumber) return;
+  
+  console.log(`🔀 Restarting login for firm ${firmId} with ${pairingPhoneNumber ? 'a pairing code' : 'a QR code'}`);
+  clients.delete(firmId);
+  qrCodes.delete(firmId);
+  pairingCodes.delete(firmId);
+  sessionPool.trackStop(firmId);
+  try {
+    await client.destroy();
+  } catch (error) {
+    console.error(`❌ Error stopping client for firm ${firmId}:`, error.message);
+  }
+};
+
+// Initialize WhatsApp client for specific firm, using the firm's configured transport.
+// `restoring` marks a reconnect from saved auth after a restart rather than a fresh connect, and
+// `pairingPhoneNumber` logs in with a pairing code for that number instead of a QR code.
+const initializeClient = (firmId, { restoring = false, pairingPhoneNumber = null } = {}) => {
+  const { driver } = settings.getSettings(firmId, 'transport');
+  console.log(`🚀 Initializing WhatsApp client for firm: ${firmId} (${driver})`);
+  
+  const client = createTransport(driver, firmId, { pairingPhoneNumber });
+  client.pairingPhoneNumber = pairingPhoneNumber;
 
   client.on('qr', (qr) => {
     console.log(`📱 QR Code received for firm ${firmId}, generating image...`);
-    connectionStatuses.set(firmId, 'qr_ready');
+    setConnectionStatus(firmId, 'qr_ready');
     QRCode.toDataURL(qr, {
       errorCorrectionLevel: 'M',
       type: 'image/png',
@@ -105,65 +621,182 @@ const initializeClient = (firmId) => {
       if (!err) {
         qrCodes.set(firmId, url);
         console.log(`✅ QR Code generated successfully for firm ${firmId}`);
+        notify(firmId, 'qr', { status: 'qr_ready', qr_code: url });
       } else {
         console.error(`❌ QR Code generation failed for firm ${firmId}:`, err);
       }
     });
   });
 
+  client.on('pairing_code', (code) => {
+    console.log(`🔢 Pairing code received for firm ${firmId}`);
+    const pairing = {
+      code,
+      phone_number: pairingPhoneNumber,
+      expires_at: new Date(Date.now() + PAIRING_CODE_TTL_MS).toISOString()
+    };
+    pairingCodes.set(firmId, pairing);
+    setConnectionStatus(firmId, 'pairing_code_ready');
+    notify(firmId, 'pairing_code', { status: 'pairing_code_ready', pairing_code: code, expires_at: pairing.expires_at });
+  });
+
   client.on('ready', () => {
     console.log(`✅ WhatsApp client ready for firm ${firmId}!`);
-    connectionStatuses.set(firmId, 'ready');
+    setConnectionStatus(firmId, 'ready');
+    sessionRegistry.markReady(firmId);
     qrCodes.delete(firmId); // Clear QR once connected
+    pairingCodes.delete(firmId);
+    notify(firmId, 'ready', { status: 'ready' });
+    processMessageQueue(firmId); // Resume anything persisted before a restart
+  });
+
+  client.on('ack', ({ id, status }) => {
+    const messageData = queue.findByWhatsAppId(firmId, id);
+    if (!messageData) return;
+    const changes = status === 'failed' ? { error: 'WhatsApp reported a delivery error' } : {};
+    if (updateMessageStatus(firmId, messageData.id, status, changes)) {
+      console.log(`📬 Message ${messageData.id} ${status} for firm ${firmId}`);
+    }
+  });
+
+  // Inbound messages from individual chats, e.g. staff replying to an assignment
+  client.on('message', ({ id, from, body, timestamp }) => {
+    sessionPool.touch(firmId);
+    try {
+      const reply = inbox.recordInbound(firmId, {
+        waMessageId: id,
+        from,
+        body,
+        receivedAt: timestamp
+      });
+      console.log(`📥 Reply from ${reply.from} for firm ${firmId}${reply.confirmation ? ` (${reply.confirmation})` : ''}`);
+      notify(firmId, 'message.reply', reply);
+      
+      if (reply.subscription === 'opt_out') {
+        const { cancelled } = suppressNumber(firmId, reply.from, { source: 'keyword', reason: 'Replied with an opt-out keyword', note: body });
+        console.log(`🚫 ${reply.from} opted out for firm ${firmId} (${cancelled.length} pending messages cancelled)`);
+      } else if (reply.subscription === 'opt_in' && unsuppressNumber(firmId, reply.from, { source: 'keyword' })) {
+        // Numbers the firm suppressed itself stay suppressed until removed through the API
+        console.log(`✅ ${reply.from} opted back in for firm ${firmId}`);
+      }
+    } catch (error) {
+      console.error(`❌ Failed to record inbound message for firm ${firmId}:`, error.message);
+    }
   });
 
   client.on('authenticated', () => {
     console.log(`✅ WhatsApp client authenticated for firm ${firmId}`);
-    connectionStatuses.set(firmId, 'connected');
+    setConnectionStatus(firmId, 'connected');
+    notify(firmId, 'authenticated', { status: 'connected' });
   });
 
   client.on('auth_failure', (msg) => {
     console.error(`❌ Authentication failed for firm ${firmId}:`, msg);
-    connectionStatuses.set(firmId, 'auth_failed');
+    setConnectionStatus(firmId, 'auth_failed');
+    notify(firmId, 'auth_failure', { status: 'auth_failed', message: msg });
   });
 
   client.on('disconnected', (reason) => {
+    // A client that was hibernated or replaced can still report its own shutdown, leave the firm's current one alone
+    if (clients.get(firmId) !== client) {
+      console.log(`⏭️ Ignoring disconnect from a replaced client for firm ${firmId}:`, reason);
+      return;
+    }
     console.log(`⚠️ WhatsApp client disconnected for firm ${firmId}:`, reason);
-    connectionStatuses.set(firmId, 'disconnected');
+    setConnectionStatus(firmId, 'disconnected');
     clients.delete(firmId);
+    pairingCodes.delete(firmId);
+    sessionPool.trackStop(firmId);
+    notify(firmId, 'disconnected', { status: 'disconnected', reason });
     setTimeout(() => {
       console.log(`🔄 Attempting to reconnect firm ${firmId}...`);
       if (connectionStatuses.get(firmId) !== 'disconnected') return; // Don't reconnect if manually disconnected
-      initializeClient(firmId);
+      startSession(firmId);
     }, 5000);
   });
 
   clients.set(firmId, client);
-  connectionStatuses.set(firmId, 'connecting');
-  messageQueues.set(firmId, []);
+  setConnectionStatus(firmId, restoring ? 'restoring' : 'connecting');
   processingStates.set(firmId, false);
+  sessionPool.trackStart(firmId);
   
-  client.initialize();
+  Promise.resolve(client.initialize()).catch(error => {
+    console.error(`❌ Failed to initialize WhatsApp client for firm ${firmId}:`, error.message);
+    if (clients.get(firmId) !== client) return;
+    clients.delete(firmId);
+    sessionPool.trackStop(firmId);
+    setConnectionStatus(firmId, 'init_failed');
+  });
+};
+
+// Reconnect every firm that was connected before the restart, one at a time so the browsers
+// don't all start together. Firms beyond the session cap are left hibernated and wake on demand.
+const restoreSessions = () => {
+  const firmIds = sessionRegistry.getRegisteredFirms();
+  if (firmIds.length === 0) return;
+  
+  console.log(`♻️ Restoring ${firmIds.length} session(s) from the registry`);
+  // Firms with work waiting get the first slots
+  const ordered = [
+    ...firmIds.filter(firmId => queue.getQueued(firmId).length > 0),
+    ...firmIds.filter(firmId => queue.getQueued(firmId).length === 0)
+  ];
+  ordered.forEach(firmId => setConnectionStatus(firmId, 'restoring'));
+  
+  ordered.forEach((firmId, index) => {
+    setTimeout(() => {
+      // Connected, disconnected or woken some other way in the meantime
+      if (connectionStatuses.get(firmId) !== 'restoring' || clients.has(firmId)) return;
+      if (!sessionPool.hasCapacity()) {
+        console.log(`💤 Session limit reached, leaving firm ${firmId} hibernated`);
+        setConnectionStatus(firmId, 'hibernated');
+        processMessageQueue(firmId);
+        return;
+      }
+      console.log(`♻️ Restoring session for firm ${firmId}`);
+      initializeClient(firmId, { restoring: true });
+    }, index * SESSION_RESTORE_STAGGER_MS);
+  });
+};
+
+// Validate and remember a transport chosen in a connect request, returns an error message or null
+const applyTransportChoice = (firmId, transport) => {
+  if (!transport) return null;
+  const { error } = settings.updateSettings(firmId, { transport: { driver: transport } });
+  return error || null;
 };
 
 // Routes
 
-// Health check
+// Health check - per-session details are only included for the admin key
 app.get('/health', (req, res) => {
+  const health = {
+    status: 'healthy',
+    timestamp: new Date().toISOString(),
+    uptime: process.uptime()
+  };
+  
+  const requestAuth = auth.resolveKey(auth.extractKey(req));
+  if (!requestAuth || !requestAuth.admin) return res.json(health);
+  
   const activeSessions = Array.from(clients.keys()).length;
-  const totalQueueLength = Array.from(messageQueues.values()).reduce((total, queue) => total + queue.length, 0);
+  const hibernatedFirms = Array.from(connectionStatuses.keys()).filter(firmId => connectionStatuses.get(firmId) === 'hibernated');
+  const totalQueueLength = queue.getFirmIds().reduce((total, firmId) => total + queue.getQueued(firmId).length, 0);
   
   res.json({
-    status: 'healthy',
-    timestamp: new Date().toISOString(),
-    uptime: process.uptime(),
+    ...health,
     memory_usage: process.memoryUsage(),
     active_sessions: activeSessions,
-    sessions: Array.from(clients.keys()).map(firmId => ({
+    max_active_sessions: sessionPool.MAX_ACTIVE_SESSIONS,
+    hibernated_sessions: hibernatedFirms.length,
+    total_queue_length: totalQueueLength,
+    sessions: [...Array.from(clients.keys()), ...hibernatedFirms].map(firmId => ({
       firm_id: firmId,
       status: connectionStatuses.get(firmId) || 'unknown',
-      queue_length: (messageQueues.get(firmId) || []).length,
-      has_qr: qrCodes.has(firmId)
+      driver: clients.has(firmId) ? clients.get(firmId).driver : null,
+      queue_length: queue.getQueued(firmId).length,
+      has_qr: qrCodes.has(firmId),
+      ...sessionPool.getSessionInfo(firmId, clients.get(firmId))
     }))
   });
 });
@@ -176,7 +809,7 @@ app.get('/api/status/:sessionId', (req, res) => {
   const status = connectionStatuses.get(firmId) || 'not_found';
   const ready = status === 'ready' || status === 'connected';
   const qrAvailable = qrCodes.has(firmId);
-  const queueLength = (messageQueues.get(firmId) || []).length;
+  const queueLength = queue.getQueued(firmId).length;
   
   console.log(`📊 Status check for firm ${firmId}: ${status}, ready: ${ready}, qr: ${qrAvailable}`);
   
@@ -184,6 +817,7 @@ app.get('/api/status/:sessionId', (req, res) => {
     status: status,
     ready: ready,
     qr_available: qrAvailable,
+    pairing_code_available: pairingCodes.has(firmId),
     queue_length: queueLength,
     session_id: sessionId,
     firm_id: firmId,
@@ -192,8 +826,74 @@ app.get('/api/status/:sessionId', (req, res) => {
   });
 });
 
+// Current state of a firm, sent when a stream starts or cannot be resumed
+const getStreamSnapshot = (firmId) => {
+  const status = connectionStatuses.get(firmId) || 'not_found';
+  return {
+    status,
+    ready: status === 'ready',
+    qr_code: qrCodes.get(firmId) || null,
+    pairing_code: pairingCodes.has(firmId) ? pairingCodes.get(firmId).code : null,
+    pairing_code_expires_at: pairingCodes.has(firmId) ? pairingCodes.get(firmId).expires_at : null,
+    queue_length: queue.getQueued(firmId).length,
+    status_counts: queue.getStatusCounts(firmId)
+  };
+};
+
+// Issue a short-lived token for opening the event stream from a browser EventSource
+app.post('/api/events/:firmId/token', (req, res) => {
+  const firmId = req.params.firmId;
+  const { token, expires_at } = auth.createStreamToken(req.auth, firmId);
+  
+  res.json({
+    success: true,
+    firm_id: firmId,
+    stream_token: token,
+    expires_at
+  });
+});
+
+// Server-Sent Events stream of a firm's QR codes, status transitions, queue changes and message progress.
+// Reconnecting with Last-Event-ID (or ?last_event_id=) replays what was missed.
+app.get('/api/events/:firmId', (req, res) => {
+  const firmId = req.params.firmId;
+  
+  res.set({
+    'Content-Type': 'text/event-stream',
+    'Cache-Control': 'no-cache',
+    Connection: 'keep-alive',
+    'X-Accel-Buffering': 'no' // Stop proxies from buffering the stream
+  });
+  res.flushHeaders();
+  
+  const write = ({ id, event, data }) => {
+    res.write(`id: ${id}\nevent: ${event}\ndata: ${JSON.stringify(data)}\n\n`);
+  };
+  
+  res.write('retry: 3000\n\n');
+  const lastEventId = req.get('last-event-id') || req.query.last_event_id;
+  const missed = lastEventId ? eventStream.getEventsSince(firmId, lastEventId) : null;
+  if (missed) {
+    missed.forEach(write);
+  } else {
+    write({
+      id: eventStream.getLastId(),
+      event: 'snapshot',
+      data: { ...getStreamSnapshot(firmId), resync: Boolean(lastEventId) }
+    });
+  }
+  
+  const unsubscribe = eventStream.subscribe(firmId, write);
+  const heartbeat = setInterval(() => res.write(': ping\n\n'), 25000);
+  
+  req.on('close', () => {
+    clearInterval(heartbeat);
+    unsubscribe();
+  });
+});
+
 // Connect/Generate QR for specific firm
-app.post('/api/connect', async (req, res) => {
+app.post('/api/connect', asyncRoute(async (req, res) => {
   const { sessionId, firmId } = req.body;
   
   if (!sessionId || !firmId) {
@@ -206,23 +906,36 @@ app.post('/api/connect', async (req, res) => {
   // Use firmId directly as the session identifier
   const actualFirmId = firmId;
   
+  const transportError = applyTransportChoice(actualFirmId, req.body.transport);
+  if (transportError) {
+    return res.status(400).json({
+      success: false,
+      error: transportError
+    });
+  }
+  
   console.log(`🔗 Connecting WhatsApp for firm: ${actualFirmId}`);
   
   // Initialize client if not exists
-  if (!clients.has(actualFirmId)) {
-    initializeClient(actualFirmId);
+  if (!startSession(actualFirmId)) {
+    return res.status(503).json({
+      success: false,
+      error: `Session limit of ${sessionPool.MAX_ACTIVE_SESSIONS} reached and every running session is busy, try again shortly`
+    });
   }
+  sessionPool.touch(actualFirmId);
   
   res.json({
     success: true,
     message: `WhatsApp connection initiated for firm ${actualFirmId}`,
     session_id: sessionId,
-    firm_id: actualFirmId
+    firm_id: actualFirmId,
+    transport: settings.getSettings(actualFirmId, 'transport').driver
   });
-});
+}));
 
 // Generate QR for specific firm
-app.post('/api/qr', async (req, res) => {
+app.post('/api/qr', asyncRoute(async (req, res) => {
   const { sessionId, firmId } = req.body;
   
   if (!sessionId || !firmId) {
@@ -235,12 +948,25 @@ app.post('/api/qr', async (req, res) => {
   // Use firmId directly as the session identifier
   const actualFirmId = firmId;
   
+  const transportError = applyTransportChoice(actualFirmId, req.body.transport);
+  if (transportError) {
+    return res.status(400).json({
+      success: false,
+      error: transportError
+    });
+  }
+  
   console.log(`📱 Generating QR for firm: ${actualFirmId}`);
   
   // Initialize client if not exists
-  if (!clients.has(actualFirmId)) {
-    initializeClient(actualFirmId);
+  await switchLoginMode(actualFirmId, null);
+  if (!startSession(actualFirmId)) {
+    return res.status(503).json({
+      success: false,
+      error: `Session limit of ${sessionPool.MAX_ACTIVE_SESSIONS} reached and every running session is busy, try again shortly`
+    });
   }
+  sessionPool.touch(actualFirmId);
   
   // Wait a bit for QR to be generated
   let attempts = 0;
@@ -266,50 +992,139 @@ app.post('/api/qr', async (req, res) => {
   };
   
   setTimeout(checkQR, 500);
-});
+}));
 
-// Disconnect specific firm
-app.post('/api/disconnect', async (req, res) => {
-  const { sessionId, firmId } = req.body;
+// Log in with a pairing code entered on the phone instead of scanning a QR code
+app.post('/api/pairing-code', asyncRoute(async (req, res) => {
+  const { sessionId, firmId, phone_number } = req.body;
   
-  if (!sessionId || !firmId) {
+  if (!sessionId || !firmId || !phone_number) {
     return res.status(400).json({
       success: false,
-      error: 'sessionId and firmId are required'
+      error: 'sessionId, firmId and phone_number are required'
     });
   }
   
-  // Use firmId directly (sessionId should be the same as firmId)
   const actualFirmId = firmId;
   
-  console.log(`🔌 Disconnecting WhatsApp for firm: ${actualFirmId}`);
-  
-  const client = clients.get(actualFirmId);
-  if (client) {
-    try {
-      await client.destroy();
-      console.log(`✅ Client destroyed for firm ${actualFirmId}`);
-    } catch (error) {
-      console.error(`❌ Error destroying client for firm ${actualFirmId}:`, error);
-    }
+  const { digits, error: numberError } = normalizeRecipient(actualFirmId, phone_number);
+  if (numberError) {
+    return res.status(400).json({
+      success: false,
+      error: `Invalid phone_number: ${numberError}`
+    });
   }
   
-  // Clean up all data for this firm
-  clients.delete(actualFirmId);
-  qrCodes.delete(actualFirmId);
-  connectionStatuses.set(actualFirmId, 'disconnected');
-  messageQueues.delete(actualFirmId);
-  processingStates.delete(actualFirmId);
+  const transportError = applyTransportChoice(actualFirmId, req.body.transport);
+  if (transportError) {
+    return res.status(400).json({
+      success: false,
+      error: transportError
+    });
+  }
+  
+  const status = connectionStatuses.get(actualFirmId);
+  if (clients.has(actualFirmId) && (status === 'ready' || status === 'connected')) {
+    return res.status(409).json({
+      success: false,
+      error: `WhatsApp is already connected for firm ${actualFirmId}`
+    });
+  }
+  
+  console.log(`🔢 Requesting pairing code for firm: ${actualFirmId}`);
+  
+  await switchLoginMode(actualFirmId, digits);
+  if (!startSession(actualFirmId, { pairingPhoneNumber: digits })) {
+    return res.status(503).json({
+      success: false,
+      error: `Session limit of ${sessionPool.MAX_ACTIVE_SESSIONS} reached and every running session is busy, try again shortly`
+    });
+  }
+  sessionPool.touch(actualFirmId);
+  
+  // Wait for a code that is still valid, the transport renews expired ones on its own
+  let attempts = 0;
+  const checkCode = () => {
+    const pairing = pairingCodes.get(actualFirmId);
+    if (pairing && new Date(pairing.expires_at).getTime() > Date.now()) {
+      return res.json({
+        success: true,
+        pairing_code: pairing.code,
+        phone_number: pairing.phone_number,
+        expires_at: pairing.expires_at,
+        session_id: sessionId,
+        message: 'On the phone open WhatsApp > Linked devices > Link with phone number and enter this code'
+      });
+    }
+    
+    attempts++;
+    if (attempts >= 30) { // 15 seconds timeout
+      return res.status(408).json({
+        success: false,
+        error: 'Pairing code generation timeout'
+      });
+    }
+    
+    setTimeout(checkCode, 500);
+  };
+  
+  setTimeout(checkCode, 500);
+}));
+
+// Disconnect specific firm
+app.post('/api/disconnect', asyncRoute(async (req, res) => {
+  const { sessionId, firmId } = req.body;
+  
+  if (!sessionId || !firmId) {
+    return res.status(400).json({
+      success: false,
+      error: 'sessionId and firmId are required'
+    });
+  }
+  
+  // Use firmId directly (sessionId should be the same as firmId)
+  const actualFirmId = firmId;
+  
+  console.log(`🔌 Disconnecting WhatsApp for firm: ${actualFirmId}`);
+  
+  const client = clients.get(actualFirmId);
+  if (client) {
+    try {
+      await client.destroy();
+      console.log(`✅ Client destroyed for firm ${actualFirmId}`);
+    } catch (error) {
+      console.error(`❌ Error destroying client for firm ${actualFirmId}:`, error);
+    }
+  }
+  
+  // Clean up all data for this firm
+  clients.delete(actualFirmId);
+  sessionPool.trackStop(actualFirmId);
+  qrCodes.delete(actualFirmId);
+  pairingCodes.delete(actualFirmId);
+  setConnectionStatus(actualFirmId, 'disconnected');
+  queue.clearQueue(actualFirmId);
+  registration.clearCache(actualFirmId);
+  processingStates.delete(actualFirmId);
+  
+  // An explicit disconnect is a logout: forget the session so it is neither restored nor reused
+  sessionRegistry.unregister(actualFirmId);
+  try {
+    await removeSessionData(actualFirmId);
+  } catch (error) {
+    console.error(`❌ Error removing session data for firm ${actualFirmId}:`, error.message);
+  }
   
   res.json({
     success: true,
     message: `WhatsApp disconnected for firm ${actualFirmId}`
   });
-});
+}));
 
 // Send bulk messages for specific firm
-app.post('/api/send-bulk-messages', async (req, res) => {
+app.post('/api/send-bulk-messages', idempotent, asyncRoute(async (req, res) => {
   const { messages, firmId } = req.body;
+  const { sendAt, error: sendAtError } = parseSendAt(req.body.send_at);
   
   if (!firmId) {
     return res.status(400).json({
@@ -325,55 +1140,168 @@ app.post('/api/send-bulk-messages', async (req, res) => {
     });
   }
   
+  if (sendAtError) {
+    return res.status(400).json({
+      success: false,
+      error: sendAtError
+    });
+  }
+  
+  const { priority, error: priorityError } = resolvePriority(req.body.priority, 'bulk');
+  if (priorityError) {
+    return res.status(400).json({
+      success: false,
+      error: priorityError
+    });
+  }
+  
+  // Scheduled sends can be accepted while the client is offline, and sessions that are on their way back get the rest
   const isClientReady = connectionStatuses.get(firmId) === 'ready';
-  if (!isClientReady) {
+  if (!QUEUEABLE_STATUSES.includes(connectionStatuses.get(firmId)) && initialStatus(sendAt) === 'queued') {
     return res.status(503).json({
       success: false,
       error: `WhatsApp client is not ready for firm ${firmId}. Current status: ${connectionStatuses.get(firmId) || 'disconnected'}`
     });
   }
   
-  const messageQueue = messageQueues.get(firmId) || [];
+  // A top-level attachment is stored once and shared by every message without its own
+  const sharedPrepared = media.prepareAttachment(firmId, req.body.attachment);
+  const { attachment: sharedAttachment, error: attachmentError } = sharedPrepared;
+  const preparedAttachments = [sharedPrepared];
+  if (attachmentError) {
+    return res.status(400).json({
+      success: false,
+      error: attachmentError
+    });
+  }
+  
+  // Optionally drop recipients that are not on WhatsApp before anything is queued
+  let unregistered = new Set();
+  if (req.body.verify_recipients) {
+    if (!isClientReady) {
+      return res.status(503).json({
+        success: false,
+        error: `verify_recipients requires a ready WhatsApp client for firm ${firmId}`
+      });
+    }
+    unregistered = await findUnregisteredRecipients(firmId, messages.map(msg => msg.number).filter(Boolean));
+  }
+  
+  const queuedMessages = [];
   const results = [];
   
   messages.forEach((msg, index) => {
-    if (!msg.number || !msg.message) {
+    // A message goes either to a number or to a group the firm's account is in
+    const isGroup = msg.group_id !== undefined && msg.group_id !== null;
+    if ((!msg.number && !isGroup) || (!msg.message && !msg.template && !msg.attachment && !sharedAttachment)) {
+      results.push({
+        index,
+        success: false,
+        error: 'Number (or group_id) and message (or template or attachment) are required'
+      });
+      return;
+    }
+    if (msg.number && isGroup) {
+      results.push({
+        index,
+        success: false,
+        error: 'A message has either a number or a group_id, not both'
+      });
+      return;
+    }
+    const recipient = isGroup ? groups.normalizeGroupId(msg.group_id) : normalizeRecipient(firmId, msg.number);
+    if (recipient.error) {
+      results.push({
+        index,
+        success: false,
+        error: recipient.error
+      });
+      return;
+    }
+    if (!isGroup && unregistered.has(recipient.digits)) {
+      results.push({
+        index,
+        success: false,
+        status: 'unregistered',
+        error: UNREGISTERED_ERROR
+      });
+      return;
+    }
+    if (!isGroup && suppression.isSuppressed(firmId, recipient.digits)) {
       results.push({
         index,
         success: false,
-        error: 'Number and message are required'
+        status: 'suppressed',
+        error: SUPPRESSED_ERROR
       });
       return;
     }
+    const prepared = msg.attachment ? media.prepareAttachment(firmId, msg.attachment) : sharedPrepared;
+    if (prepared.error) {
+      results.push({
+        index,
+        success: false,
+        error: prepared.error
+      });
+      return;
+    }
+    const { attachment } = prepared;
+    if (msg.attachment) preparedAttachments.push(prepared);
+    let text = msg.message;
+    if (msg.template) {
+      try {
+        text = templates.formatCustomMessage(firmId, msg.template, msg.variables || {});
+      } catch (error) {
+        results.push({
+          index,
+          success: false,
+          error: error.message
+        });
+        return;
+      }
+    }
     const messageId = uuidv4();
-    messageQueue.push({
+    queuedMessages.push({
       id: messageId,
-      number: msg.number,
-      message: msg.message,
-      timestamp: new Date().toISOString()
+      ...(isGroup ? { group_id: recipient.group_id } : { number: recipient.digits }),
+      message: text,
+      attachment,
+      timestamp: new Date().toISOString(),
+      type: 'bulk',
+      priority,
+      send_at: sendAt
     });
     results.push({
       index,
       success: true,
       message_id: messageId,
-      status: 'queued'
+      status: initialStatus(sendAt)
     });
   });
   
-  messageQueues.set(firmId, messageQueue);
+  saveAttachments(preparedAttachments, queuedMessages);
+  const batch = startBatch(firmId, 'bulk', req.body.batch_name, `Bulk send ${new Date().toISOString()}`, queuedMessages);
+  const queueLength = queue.enqueue(firmId, queuedMessages);
   processMessageQueue(firmId);
   
   res.json({
     success: true,
-    message: `${results.filter(r => r.success).length} messages queued successfully for firm ${firmId}`,
+    message: `${results.filter(r => r.success).length} messages ${initialStatus(sendAt)} successfully for firm ${firmId}`,
+    batch_id: batch ? batch.id : null,
     results,
-    queue_length: messageQueue.length
+    queue_length: queueLength
   });
-});
+}));
 
 // Send event notifications for specific firm
-app.post('/api/send-event-messages', async (req, res) => {
-  const { event, staff_list, staff_assignments, firmId } = req.body;
+app.post('/api/send-event-messages', idempotent, asyncRoute(async (req, res) => {
+  const { event, staff_list, staff_assignments, firmId, template } = req.body;
+  const allowDuplicates = req.body.allow_duplicates === true;
+  // One message per staff member covering all their days, with updates and cancellations on re-send
+  const consolidate = req.body.consolidate === true;
+  // A WhatsApp group per event with the assigned staff in it, kept in step with the staff list
+  const crewGroupRequested = req.body.crew_group === true;
+  const { sendAt, error: sendAtError } = parseSendAt(req.body.send_at);
   
   if (!firmId) {
     return res.status(400).json({
@@ -389,21 +1317,123 @@ app.post('/api/send-event-messages', async (req, res) => {
     });
   }
   
+  if (consolidate && (event.id === undefined || event.id === null || event.id === '')) {
+    return res.status(400).json({
+      success: false,
+      error: 'event.id is required to consolidate assignments'
+    });
+  }
+  
+  if (req.body.crew_group !== undefined && typeof req.body.crew_group !== 'boolean') {
+    return res.status(400).json({
+      success: false,
+      error: 'crew_group must be a boolean'
+    });
+  }
+  
+  if (crewGroupRequested && (event.id === undefined || event.id === null || event.id === '')) {
+    return res.status(400).json({
+      success: false,
+      error: 'event.id is required to keep a crew group'
+    });
+  }
+  
+  if (req.body.crew_group_name !== undefined && (typeof req.body.crew_group_name !== 'string' || req.body.crew_group_name.trim() === '')) {
+    return res.status(400).json({
+      success: false,
+      error: 'crew_group_name must be a non-empty string'
+    });
+  }
+  
+  const { groupIds, error: groupIdsError } = parseGroupIds(req.body.group_ids);
+  if (groupIdsError) {
+    return res.status(400).json({
+      success: false,
+      error: groupIdsError
+    });
+  }
+  
+  if (sendAtError) {
+    return res.status(400).json({
+      success: false,
+      error: sendAtError
+    });
+  }
+  
+  const { priority, error: priorityError } = resolvePriority(req.body.priority, 'normal');
+  if (priorityError) {
+    return res.status(400).json({
+      success: false,
+      error: priorityError
+    });
+  }
+  
+  if (req.body.reminders !== undefined && typeof req.body.reminders !== 'boolean') {
+    const offsetsError = settings.validateReminderOffsets(req.body.reminders);
+    if (offsetsError) {
+      return res.status(400).json({
+        success: false,
+        error: `reminders must be a boolean or an array of hours: ${offsetsError}`
+      });
+    }
+  }
+  
+  // Scheduled sends can be accepted while the client is offline, and sessions that are on their way back get the rest
   const isClientReady = connectionStatuses.get(firmId) === 'ready';
-  if (!isClientReady) {
+  if (!QUEUEABLE_STATUSES.includes(connectionStatuses.get(firmId)) && initialStatus(sendAt) === 'queued') {
     return res.status(503).json({
       success: false,
       error: `WhatsApp client is not ready for firm ${firmId}. Current status: ${connectionStatuses.get(firmId) || 'disconnected'}`
     });
   }
+  
+  // Crew groups are created and updated right away, not queued
+  if (crewGroupRequested && !isClientReady) {
+    return res.status(503).json({
+      success: false,
+      error: `crew_group requires a ready WhatsApp client for firm ${firmId}`
+    });
+  }
+  
+  const { attach: attachInvites, error: inviteError } = resolveCalendarInvite(firmId, req.body, event.id, 'event.id');
+  if (inviteError) {
+    return res.status(400).json({
+      success: false,
+      error: inviteError
+    });
+  }
+  
+  const preparedAttachment = media.prepareAttachment(firmId, req.body.attachment);
+  const { attachment, error: attachmentError } = preparedAttachment;
+  if (attachmentError) {
+    return res.status(400).json({
+      success: false,
+      error: attachmentError
+    });
+  }
+  
+  // Optionally drop recipients that are not on WhatsApp before anything is queued
+  let unregistered = new Set();
+  if (req.body.verify_recipients) {
+    if (!isClientReady) {
+      return res.status(503).json({
+        success: false,
+        error: `verify_recipients requires a ready WhatsApp client for firm ${firmId}`
+      });
+    }
+    unregistered = await findUnregisteredRecipients(firmId, staff_list.map(staff => staff.mobile_number));
+  }
+  
   const staffDayAssignments = {};
   if (staff_assignments && Array.isArray(staff_assignments)) {
     staff_assignments.forEach(assignment => {
       if (!staffDayAssignments[assignment.staff_id]) staffDayAssignments[assignment.staff_id] = [];
       staffDayAssignments[assignment.staff_id].push({
-        day_number: assignment.day_number,
+        // Clients may send "2" for day 2, stored as a number so replies can be matched to the day
+        day_number: assignment.day_number === undefined || assignment.day_number === null ? assignment.day_number : Number(assignment.day_number),
         day_date: assignment.day_date,
-        role: assignment.role
+        role: assignment.role,
+        start_time: assignment.start_time
       });
     });
     Object.keys(staffDayAssignments).forEach(staffId => {
@@ -411,69 +1441,274 @@ app.post('/api/send-event-messages', async (req, res) => {
     });
   }
   const messages = [];
-  staff_list.forEach(staff => {
-    const assignments = staffDayAssignments[staff.id] || [];
-    if (assignments.length > 0) {
-      assignments.forEach(assignment => {
-        const message = formatEventMessage(event, staff, assignment);
+  const reminderMessages = [];
+  const reminderOffsets = reminders.resolveOffsets(firmId, req.body.reminders);
+  let groupMessage = null;
+  try {
+    if (consolidate) {
+      staff_list.forEach(staff => {
+        const days = assignments.resolveDays(event, staff, staffDayAssignments[staff.id]);
+        const snapshot = assignments.buildSnapshot(event, staff, days);
+        const previous = assignments.getSnapshot(firmId, event.id, staff.id);
+        const changes = previous ? assignments.diffSnapshots(previous, snapshot) : [];
+        const assignmentChange = !previous ? 'new' : changes.length > 0 ? 'updated' : 'unchanged';
+        // Staff who were already told exactly this keep their message and reminders, unless a resend is forced
+        if (assignmentChange === 'unchanged' && !allowDuplicates) {
+          messages.push({ number: staff.mobile_number, staff_id: staff.id, assignment_change: assignmentChange, snapshot });
+          return;
+        }
         messages.push({
           number: staff.mobile_number,
-          message: message,
+          message: assignmentChange === 'updated'
+            ? templates.formatAssignmentUpdate(firmId, event, staff, days, changes)
+            : templates.formatAssignmentSummary(firmId, event, staff, days, template),
           staff_id: staff.id,
-          day_number: assignment.day_number
+          assignment_change: assignmentChange,
+          changes,
+          snapshot,
+          invite: attachInvites ? calendar.buildEventInvite(firmId, event, staff, days, {
+            cancelledDays: changes.filter(change => change.type === 'day_removed').map(change => change.day)
+          }) : null
         });
+        days.forEach(day => reminderMessages.push(...reminders.buildEventReminders(firmId, event, staff, day, reminderOffsets)));
       });
+      
+      // Staff who were sent this event before but are no longer in the list have been dropped
+      const listedStaffIds = new Set(staff_list.map(staff => String(staff.id)));
+      assignments.listSnapshots(firmId, event.id)
+        .filter(previous => !listedStaffIds.has(String(previous.staff_id)))
+        .forEach(previous => {
+          const staff = { id: previous.staff_id, full_name: previous.staff_name, mobile_number: previous.number };
+          messages.push({
+            number: previous.number,
+            message: templates.formatAssignmentCancellation(firmId, event, staff, previous.days),
+            staff_id: previous.staff_id,
+            assignment_change: 'cancelled',
+            invite: attachInvites ? calendar.buildEventInvite(firmId, event, staff, previous.days, { cancelled: true }) : null
+          });
+        });
     } else {
-      const message = formatEventMessage(event, staff, null);
-      messages.push({
-        number: staff.mobile_number,
-        message: message,
-        staff_id: staff.id,
-        day_number: 1
+      staff_list.forEach(staff => {
+        const dayAssignments = staffDayAssignments[staff.id] || [];
+        if (dayAssignments.length > 0) {
+          dayAssignments.forEach(assignment => {
+            const message = templates.formatEventMessage(firmId, event, staff, assignment, template);
+            messages.push({
+              number: staff.mobile_number,
+              message: message,
+              staff_id: staff.id,
+              day_number: assignment.day_number,
+              invite: attachInvites ? calendar.buildEventInvite(firmId, event, staff, assignments.resolveDays(event, staff, [assignment])) : null
+            });
+            reminderMessages.push(...reminders.buildEventReminders(firmId, event, staff, assignment, reminderOffsets));
+          });
+        } else {
+          const message = templates.formatEventMessage(firmId, event, staff, null, template);
+          messages.push({
+            number: staff.mobile_number,
+            message: message,
+            staff_id: staff.id,
+            day_number: 1,
+            invite: attachInvites ? calendar.buildEventInvite(firmId, event, staff, assignments.resolveDays(event, staff, null)) : null
+          });
+          reminderMessages.push(...reminders.buildEventReminders(firmId, event, staff, null, reminderOffsets));
+        }
       });
     }
-  });
-  messages.sort((a, b) => a.day_number - b.day_number);
-  const messageQueue = messageQueues.get(firmId) || [];
+    if (crewGroupRequested || groupIds.length > 0) {
+      const crew = staff_list.map(staff => ({ staff, days: assignments.resolveDays(event, staff, staffDayAssignments[staff.id]) }));
+      groupMessage = templates.formatCrewMessage(firmId, event, crew);
+    }
+  } catch (error) {
+    return res.status(400).json({
+      success: false,
+      error: error.message
+    });
+  }
+  
+  // The crew group follows the staff list, leaving out numbers that cannot or must not be messaged
+  let crewGroup = null;
+  if (crewGroupRequested) {
+    const members = Array.from(new Set(staff_list
+      .map(staff => normalizeRecipient(firmId, staff.mobile_number))
+      .filter(recipient => !recipient.error && !unregistered.has(recipient.digits) && !suppression.isSuppressed(firmId, recipient.digits))
+      .map(recipient => recipient.digits)));
+    const name = (req.body.crew_group_name || `${event.title || 'Event'} crew`).trim().slice(0, groups.MAX_NAME_LENGTH);
+    try {
+      crewGroup = await syncCrewGroup(firmId, event, name, members);
+    } catch (error) {
+      console.error(`❌ Failed to update the crew group for event ${event.id} of firm ${firmId}:`, error.message);
+      return res.status(502).json({
+        success: false,
+        error: `Crew group could not be updated: ${error.message}`
+      });
+    }
+  }
+  if (!consolidate) messages.sort((a, b) => a.day_number - b.day_number);
+  const queuedMessages = [];
   const results = [];
   
   messages.forEach((msg, index) => {
+    if (msg.assignment_change === 'unchanged') {
+      results.push({
+        index,
+        staff_id: msg.staff_id,
+        success: true,
+        status: 'unchanged'
+      });
+      return;
+    }
+    const recipient = normalizeRecipient(firmId, msg.number);
+    if (recipient.error) {
+      results.push({
+        index,
+        staff_id: msg.staff_id,
+        day_number: msg.day_number,
+        success: false,
+        error: recipient.error
+      });
+      return;
+    }
+    if (unregistered.has(recipient.digits)) {
+      results.push({
+        index,
+        staff_id: msg.staff_id,
+        day_number: msg.day_number,
+        success: false,
+        status: 'unregistered',
+        error: UNREGISTERED_ERROR
+      });
+      return;
+    }
+    if (suppression.isSuppressed(firmId, recipient.digits)) {
+      results.push({
+        index,
+        staff_id: msg.staff_id,
+        day_number: msg.day_number,
+        success: false,
+        status: 'suppressed',
+        error: SUPPRESSED_ERROR
+      });
+      return;
+    }
     const messageId = uuidv4();
-    messageQueue.push({
+    const queuedMessage = {
       id: messageId,
-      number: msg.number,
+      number: recipient.digits,
       message: msg.message,
+      attachment,
       timestamp: new Date().toISOString(),
       type: 'event',
       event_id: event.id,
       staff_id: msg.staff_id,
-      day_number: msg.day_number
-    });
+      day_number: msg.day_number,
+      assignment_change: msg.assignment_change,
+      priority,
+      send_at: sendAt
+    };
+    const duplicate = !allowDuplicates && queue.findDuplicate(firmId, queuedMessage, queuedMessages);
+    if (duplicate) {
+      results.push({
+        index,
+        staff_id: msg.staff_id,
+        day_number: msg.day_number,
+        success: false,
+        status: 'duplicate',
+        duplicate_of: duplicate.id,
+        error: DUPLICATE_ERROR
+      });
+      return;
+    }
+    attachInvite(queuedMessage, msg.invite);
+    queuedMessages.push(queuedMessage);
     results.push({
       index,
       staff_id: msg.staff_id,
       day_number: msg.day_number,
       success: true,
       message_id: messageId,
-      status: 'queued'
+      status: initialStatus(sendAt)
     });
   });
   
-  messageQueues.set(firmId, messageQueue);
+  if (consolidate) {
+    messages.forEach((msg, index) => {
+      const result = results[index];
+      result.assignment_change = msg.assignment_change;
+      if (msg.assignment_change === 'updated') result.changes = msg.changes;
+      
+      const dropped = msg.assignment_change === 'cancelled';
+      if (!dropped && !result.message_id) return;
+      // Whatever is still waiting to go out about the old assignment is out of date, reminders included
+      queue.cancelPending(firmId, { event_id: event.id, staff_id: msg.staff_id })
+        .forEach(message => notify(firmId, 'message.status', serializeMessage(firmId, message)));
+      if (dropped) {
+        assignments.removeSnapshot(firmId, event.id, msg.staff_id);
+      } else {
+        assignments.saveSnapshot(firmId, event.id, { ...msg.snapshot, number: normalizeRecipient(firmId, msg.number).digits });
+      }
+    });
+  }
+  
+  // Reminders go to the same recipients, so staff with invalid, unregistered or suppressed numbers are skipped here too
+  const scheduledReminders = reminderMessages
+    .map(reminder => ({ reminder, recipient: normalizeRecipient(firmId, reminder.number) }))
+    .filter(({ recipient }) => !recipient.error && !unregistered.has(recipient.digits) &&
+      !suppression.isSuppressed(firmId, recipient.digits))
+    .map(({ reminder, recipient }) => ({
+      id: uuidv4(),
+      ...reminder,
+      number: recipient.digits,
+      timestamp: new Date().toISOString(),
+      type: 'reminder',
+      event_id: event.id,
+      priority
+    }))
+    .filter(reminder => allowDuplicates || !queue.findDuplicate(firmId, reminder, queuedMessages));
+  queuedMessages.push(...scheduledReminders);
+  
+  // Groups get the event with the whole crew, the crew group only once when it was also listed
+  const groupTargets = crewGroup && !groupIds.includes(crewGroup.group_id) ? [...groupIds, crewGroup.group_id] : groupIds;
+  const groupResults = queueGroupMessages(firmId, groupTargets, {
+    message: groupMessage,
+    attachment,
+    type: 'event',
+    event_id: event.id,
+    priority,
+    send_at: sendAt
+  }, queuedMessages, allowDuplicates);
+  
+  saveAttachments([preparedAttachment], queuedMessages);
+  const batch = startBatch(firmId, 'event', req.body.batch_name, event.title, queuedMessages);
+  const queueLength = queue.enqueue(firmId, queuedMessages);
   processMessageQueue(firmId);
   
+  const counts = countResults(results);
   res.json({
     success: true,
-    message: `Event notifications queued for ${staff_list.length} staff members for firm ${firmId}`,
+    message: describeResults(firmId, 'event', sendAt, counts),
     event_title: event.title,
+    batch_id: batch ? batch.id : null,
+    counts,
     results,
-    queue_length: messageQueue.length
+    reminders: scheduledReminders.map(reminder => ({
+      staff_id: reminder.staff_id,
+      day_number: reminder.day_number,
+      message_id: reminder.id,
+      send_at: reminder.send_at,
+      offset_hours: reminder.reminder_offset_hours
+    })),
+    group_results: groupResults,
+    crew_group: crewGroup,
+    queue_length: queueLength
   });
-});
+}));
 
 // Send task notifications for specific firm
-app.post('/api/send-task-messages', async (req, res) => {
-  const { task, staff_list, firmId } = req.body;
+app.post('/api/send-task-messages', idempotent, asyncRoute(async (req, res) => {
+  const { task, staff_list, firmId, template } = req.body;
+  const allowDuplicates = req.body.allow_duplicates === true;
+  const { sendAt, error: sendAtError } = parseSendAt(req.body.send_at);
   
   if (!firmId) {
     return res.status(400).json({
@@ -489,224 +1724,1708 @@ app.post('/api/send-task-messages', async (req, res) => {
     });
   }
   
+  if (sendAtError) {
+    return res.status(400).json({
+      success: false,
+      error: sendAtError
+    });
+  }
+  
+  const { priority, error: priorityError } = resolvePriority(req.body.priority, taskLane(task));
+  if (priorityError) {
+    return res.status(400).json({
+      success: false,
+      error: priorityError
+    });
+  }
+  
+  const { groupIds, error: groupIdsError } = parseGroupIds(req.body.group_ids);
+  if (groupIdsError) {
+    return res.status(400).json({
+      success: false,
+      error: groupIdsError
+    });
+  }
+  
+  // Scheduled sends can be accepted while the client is offline, and sessions that are on their way back get the rest
   const isClientReady = connectionStatuses.get(firmId) === 'ready';
-  if (!isClientReady) {
+  if (!QUEUEABLE_STATUSES.includes(connectionStatuses.get(firmId)) && initialStatus(sendAt) === 'queued') {
     return res.status(503).json({
       success: false,
       error: `WhatsApp client is not ready for firm ${firmId}. Current status: ${connectionStatuses.get(firmId) || 'disconnected'}`
     });
   }
-  const messages = staff_list.map(staff => {
-    const message = formatTaskMessage(task, staff);
-    return { number: staff.mobile_number, message: message };
-  });
-  const messageQueue = messageQueues.get(firmId) || [];
-  const results = [];
-  
-  messages.forEach((msg, index) => {
-    const messageId = uuidv4();
-    messageQueue.push({
+  const { attach: attachInvites, error: inviteError } = resolveCalendarInvite(firmId, req.body, task.id, 'task.id');
+  if (inviteError) {
+    return res.status(400).json({
+      success: false,
+      error: inviteError
+    });
+  }
+  
+  const preparedAttachment = media.prepareAttachment(firmId, req.body.attachment);
+  const { attachment, error: attachmentError } = preparedAttachment;
+  if (attachmentError) {
+    return res.status(400).json({
+      success: false,
+      error: attachmentError
+    });
+  }
+  
+  // Optionally drop recipients that are not on WhatsApp before anything is queued
+  let unregistered = new Set();
+  if (req.body.verify_recipients) {
+    if (!isClientReady) {
+      return res.status(503).json({
+        success: false,
+        error: `verify_recipients requires a ready WhatsApp client for firm ${firmId}`
+      });
+    }
+    unregistered = await findUnregisteredRecipients(firmId, staff_list.map(staff => staff.mobile_number));
+  }
+  
+  let messages;
+  let groupMessage = null;
+  try {
+    messages = staff_list.map(staff => {
+      const message = templates.formatTaskMessage(firmId, task, staff, template);
+      return {
+        number: staff.mobile_number,
+        message: message,
+        invite: attachInvites ? calendar.buildTaskInvite(firmId, task, staff) : null
+      };
+    });
+    if (groupIds.length > 0) groupMessage = templates.formatTaskGroupMessage(firmId, task, staff_list);
+  } catch (error) {
+    return res.status(400).json({
+      success: false,
+      error: error.message
+    });
+  }
+  const queuedMessages = [];
+  const results = [];
+  
+  messages.forEach((msg, index) => {
+    const recipient = normalizeRecipient(firmId, msg.number);
+    if (recipient.error) {
+      results.push({
+        index,
+        staff_id: staff_list[index].id,
+        success: false,
+        error: recipient.error
+      });
+      return;
+    }
+    if (unregistered.has(recipient.digits)) {
+      results.push({
+        index,
+        staff_id: staff_list[index].id,
+        success: false,
+        status: 'unregistered',
+        error: UNREGISTERED_ERROR
+      });
+      return;
+    }
+    if (suppression.isSuppressed(firmId, recipient.digits)) {
+      results.push({
+        index,
+        staff_id: staff_list[index].id,
+        success: false,
+        status: 'suppressed',
+        error: SUPPRESSED_ERROR
+      });
+      return;
+    }
+    const messageId = uuidv4();
+    const queuedMessage = {
       id: messageId,
-      number: msg.number,
+      number: recipient.digits,
       message: msg.message,
+      attachment,
       timestamp: new Date().toISOString(),
       type: 'task',
-      task_id: task.id
-    });
+      task_id: task.id,
+      staff_id: staff_list[index].id,
+      priority,
+      send_at: sendAt
+    };
+    const duplicate = !allowDuplicates && queue.findDuplicate(firmId, queuedMessage, queuedMessages);
+    if (duplicate) {
+      results.push({
+        index,
+        staff_id: staff_list[index].id,
+        success: false,
+        status: 'duplicate',
+        duplicate_of: duplicate.id,
+        error: DUPLICATE_ERROR
+      });
+      return;
+    }
+    attachInvite(queuedMessage, msg.invite);
+    queuedMessages.push(queuedMessage);
     results.push({
       index,
       staff_id: staff_list[index].id,
       success: true,
       message_id: messageId,
-      status: 'queued'
+      status: initialStatus(sendAt)
+    });
+  });
+  
+  const groupResults = queueGroupMessages(firmId, groupIds, {
+    message: groupMessage,
+    attachment,
+    type: 'task',
+    task_id: task.id,
+    priority,
+    send_at: sendAt
+  }, queuedMessages, allowDuplicates);
+  
+  saveAttachments([preparedAttachment], queuedMessages);
+  const batch = startBatch(firmId, 'task', req.body.batch_name, task.title, queuedMessages);
+  const queueLength = queue.enqueue(firmId, queuedMessages);
+  processMessageQueue(firmId);
+  
+  const counts = countResults(results);
+  res.json({
+    success: true,
+    message: describeResults(firmId, 'task', sendAt, counts),
+    task_title: task.title,
+    batch_id: batch ? batch.id : null,
+    counts,
+    results,
+    group_results: groupResults,
+    queue_length: queueLength
+  });
+}));
+
+// Clear message queue for specific firm
+app.post('/api/clear-queue', (req, res) => {
+  const { firmId } = req.body;
+  
+  if (!firmId) {
+    return res.status(400).json({
+      success: false,
+      error: 'firmId is required'
+    });
+  }
+  
+  const queueLength = queue.clearQueue(firmId);
+  
+  res.json({
+    success: true,
+    message: `Cleared ${queueLength} messages from queue for firm ${firmId}`
+  });
+});
+
+// Get queue status for specific firm, with its pending messages in send order a page at a time.
+// `status` is queued (default), scheduled or both; scheduled messages follow in send_at order.
+app.get('/api/queue/:firmId', (req, res) => {
+  const firmId = req.params.firmId;
+  const { priority, type, batch_id } = req.query;
+  const statuses = String(req.query.status || 'queued').split(',');
+  
+  if (statuses.some(status => !['queued', 'scheduled'].includes(status))) {
+    return res.status(400).json({
+      success: false,
+      error: 'status must be queued, scheduled or both'
+    });
+  }
+  
+  if (priority && !queue.PRIORITIES.includes(priority)) {
+    return res.status(400).json({
+      success: false,
+      error: `priority must be one of: ${queue.PRIORITIES.join(', ')}`
+    });
+  }
+  
+  const dispatchOrder = queue.getDispatchOrder(firmId);
+  const isProcessing = processingStates.get(firmId) || false;
+  const page = Math.max(parseInt(req.query.page, 10) || 1, 1);
+  const pageSize = Math.min(Math.max(parseInt(req.query.page_size, 10) || 50, 1), 500);
+  
+  const pending = [
+    ...(statuses.includes('queued') ? dispatchOrder.map((message, index) => ({ message, position: index + 1 })) : []),
+    ...(statuses.includes('scheduled')
+      ? queue.getScheduled(firmId)
+        .sort((a, b) => new Date(a.send_at) - new Date(b.send_at))
+        .map(message => ({ message, position: null }))
+      : [])
+  ].filter(({ message }) =>
+    (!priority || queue.getPriority(message) === priority) &&
+    (!type || message.type === type) &&
+    (!batch_id || message.batch_id === batch_id)
+  );
+  
+  res.json({
+    success: true,
+    firm_id: firmId,
+    queue_length: dispatchOrder.length,
+    is_processing: isProcessing,
+    status_counts: queue.getStatusCounts(firmId),
+    lanes: queue.PRIORITIES.reduce((lanes, lane) => {
+      lanes[lane] = dispatchOrder.filter(message => queue.getPriority(message) === lane).length;
+      return lanes;
+    }, {}),
+    pacing: throttle.getPacingState(firmId),
+    pagination: {
+      page,
+      page_size: pageSize,
+      total: pending.length,
+      total_pages: Math.ceil(pending.length / pageSize)
+    },
+    messages: pending.slice((page - 1) * pageSize, page * pageSize).map(({ message, position }) => ({
+      ...serializeMessage(firmId, message),
+      priority: queue.getPriority(message),
+      position
+    }))
+  });
+});
+
+// Look up a message of the firm in the path that has not been sent yet,
+// responding 404 when there is none and 409 when it is past the queue
+const findPendingMessage = (req, res) => {
+  const message = queue.getMessage(req.params.firmId, req.params.messageId);
+  if (!message) {
+    res.status(404).json({
+      success: false,
+      error: 'Message not found'
+    });
+    return null;
+  }
+  if (!['queued', 'scheduled'].includes(message.status)) {
+    res.status(409).json({
+      success: false,
+      error: `Message is ${message.status}, only queued or scheduled messages can be changed`
+    });
+    return null;
+  }
+  return message;
+};
+
+// Remove a message from the queue before it is sent
+app.delete('/api/queue/:firmId/:messageId', (req, res) => {
+  const firmId = req.params.firmId;
+  const message = findPendingMessage(req, res);
+  if (!message) return;
+  
+  const [cancelled] = queue.cancelPending(firmId, { id: message.id });
+  notify(firmId, 'message.status', serializeMessage(firmId, cancelled));
+  console.log(`🗑️ Removed message ${message.id} from the queue for firm ${firmId}`);
+  
+  res.json({
+    success: true,
+    message: `Message ${message.id} removed from the queue for firm ${firmId}`,
+    queued_message: serializeMessage(firmId, cancelled)
+  });
+});
+
+// Move a message to another priority lane, where it keeps its place in queue order
+app.post('/api/queue/:firmId/:messageId/priority', (req, res) => {
+  const firmId = req.params.firmId;
+  const { priority } = req.body;
+  
+  if (!queue.PRIORITIES.includes(priority)) {
+    return res.status(400).json({
+      success: false,
+      error: `priority must be one of: ${queue.PRIORITIES.join(', ')}`
+    });
+  }
+  
+  const message = findPendingMessage(req, res);
+  if (!message) return;
+  
+  const updated = queue.updateMessage(firmId, message.id, { priority });
+  publishQueueState(firmId);
+  
+  res.json({
+    success: true,
+    message: `Message ${message.id} moved to the ${priority} lane for firm ${firmId}`,
+    queued_message: serializeMessage(firmId, updated)
+  });
+});
+
+// Move a queued message within its lane: `to` front or back, or `before`/`after` another message id
+app.post('/api/queue/:firmId/:messageId/move', (req, res) => {
+  const firmId = req.params.firmId;
+  const { to, before, after } = req.body;
+  
+  if ([to, before, after].filter(Boolean).length !== 1 || (to && !['front', 'back'].includes(to))) {
+    return res.status(400).json({
+      success: false,
+      error: 'Exactly one of to (front or back), before or after is required'
+    });
+  }
+  
+  const message = findPendingMessage(req, res);
+  if (!message) return;
+  
+  const moved = queue.moveMessage(firmId, message.id, { to, before, after });
+  if (!moved) {
+    return res.status(409).json({
+      success: false,
+      error: message.status === 'queued'
+        ? `Message ${before || after} is not queued in the same lane`
+        : 'Only queued messages can be moved, scheduled messages go out at their send_at'
+    });
+  }
+  publishQueueState(firmId);
+  
+  res.json({
+    success: true,
+    message: `Message ${message.id} moved for firm ${firmId}`,
+    position: queue.getDispatchOrder(firmId).indexOf(moved) + 1
+  });
+});
+
+// List tracked messages for a firm, optionally filtered
+app.get('/api/messages', (req, res) => {
+  const { firmId, event_id, task_id, batch_id, status } = req.query;
+  
+  if (!firmId) {
+    return res.status(400).json({
+      success: false,
+      error: 'firmId is required'
+    });
+  }
+  
+  const validStatuses = [...queue.STATUS_ORDER, 'failed', 'cancelled'];
+  if (status && !validStatuses.includes(status)) {
+    return res.status(400).json({
+      success: false,
+      error: `status must be one of: ${validStatuses.join(', ')}`
+    });
+  }
+  
+  const messages = queue.listMessages(firmId, { event_id, task_id, batch_id, status });
+  
+  res.json({
+    success: true,
+    firm_id: firmId,
+    count: messages.length,
+    messages: messages.map(message => serializeMessage(firmId, message))
+  });
+});
+
+// Get delivery status of a single message
+app.get('/api/messages/:messageId', (req, res) => {
+  const found = queue.findMessage(req.params.messageId);
+  
+  if (!found || !auth.canAccessFirm(req.auth, found.firmId)) {
+    return res.status(404).json({
+      success: false,
+      error: 'Message not found'
+    });
+  }
+  
+  res.json({
+    success: true,
+    message: serializeMessage(found.firmId, found.message)
+  });
+});
+
+// Download the calendar invite attached to a message
+app.get('/api/messages/:messageId/calendar', (req, res) => {
+  const found = queue.findMessage(req.params.messageId);
+  
+  if (!found || !auth.canAccessFirm(req.auth, found.firmId)) {
+    return res.status(404).json({
+      success: false,
+      error: 'Message not found'
+    });
+  }
+  
+  const { invite } = found.message;
+  if (!invite) {
+    return res.status(404).json({
+      success: false,
+      error: 'Message has no calendar invite'
+    });
+  }
+  
+  res.setHeader('Content-Disposition', `attachment; filename="${invite.filename}"`);
+  res.type('text/calendar').send(invite.content);
+});
+
+// Register or replace the webhook for a firm
+app.post('/api/webhooks', asyncRoute(async (req, res) => {
+  const { firmId, url, secret, events } = req.body;
+  
+  if (!firmId || !url) {
+    return res.status(400).json({
+      success: false,
+      error: 'firmId and url are required'
+    });
+  }
+  
+  // Every delivery is signed with the secret, one that cannot be used as an HMAC key would fail them all
+  if (secret !== undefined && (typeof secret !== 'string' || secret === '')) {
+    return res.status(400).json({
+      success: false,
+      error: 'secret must be a non-empty string'
+    });
+  }
+  
+  const { error: urlError } = await webhooks.checkUrl(url);
+  if (urlError) {
+    return res.status(400).json({
+      success: false,
+      error: urlError
+    });
+  }
+  
+  if (events !== undefined && (!Array.isArray(events) || events.some(event => !webhooks.EVENTS.includes(event)))) {
+    return res.status(400).json({
+      success: false,
+      error: `events must be a subset of: ${webhooks.EVENTS.join(', ')}`
+    });
+  }
+  
+  const hook = webhooks.setWebhook(firmId, { url, secret, events });
+  console.log(`🪝 Webhook registered for firm ${firmId}: ${url}`);
+  
+  res.json({
+    success: true,
+    firm_id: firmId,
+    url: hook.url,
+    events: hook.events,
+    // Only echoed back when we generated it, the caller already knows their own secret
+    secret: secret ? undefined : hook.secret
+  });
+}));
+
+// Get webhook configuration for a firm
+app.get('/api/webhooks/:firmId', (req, res) => {
+  const firmId = req.params.firmId;
+  const hook = webhooks.getWebhook(firmId);
+  
+  if (!hook) {
+    return res.status(404).json({
+      success: false,
+      error: `No webhook registered for firm ${firmId}`
+    });
+  }
+  
+  res.json({
+    success: true,
+    firm_id: firmId,
+    url: hook.url,
+    events: hook.events,
+    created_at: hook.created_at
+  });
+});
+
+// Remove the webhook for a firm
+app.delete('/api/webhooks/:firmId', (req, res) => {
+  const firmId = req.params.firmId;
+  
+  if (!webhooks.removeWebhook(firmId)) {
+    return res.status(404).json({
+      success: false,
+      error: `No webhook registered for firm ${firmId}`
+    });
+  }
+  
+  res.json({
+    success: true,
+    message: `Webhook removed for firm ${firmId}`
+  });
+});
+
+// Webhook delivery log for a firm
+app.get('/api/webhooks/:firmId/deliveries', (req, res) => {
+  const firmId = req.params.firmId;
+  const deliveries = webhooks.getDeliveries(firmId);
+  
+  res.json({
+    success: true,
+    firm_id: firmId,
+    count: deliveries.length,
+    deliveries
+  });
+});
+
+// Get all settings for a firm
+app.get('/api/settings/:firmId', (req, res) => {
+  const firmId = req.params.firmId;
+  
+  res.json({
+    success: true,
+    firm_id: firmId,
+    settings: settings.getAllSettings(firmId)
+  });
+});
+
+// Update one or more settings sections for a firm, e.g. { "retry": { "max_attempts": 5 } }
+app.put('/api/settings/:firmId', (req, res) => {
+  const firmId = req.params.firmId;
+  const { error, settings: updated } = settings.updateSettings(firmId, req.body || {});
+  
+  if (error) {
+    return res.status(400).json({
+      success: false,
+      error
+    });
+  }
+  
+  res.json({
+    success: true,
+    firm_id: firmId,
+    settings: updated
+  });
+});
+
+// List dead-lettered messages for a firm
+app.get('/api/dead-letter/:firmId', (req, res) => {
+  const firmId = req.params.firmId;
+  const messages = queue.getDeadLetters(firmId);
+  
+  res.json({
+    success: true,
+    firm_id: firmId,
+    count: messages.length,
+    messages: messages.map(message => serializeMessage(firmId, message))
+  });
+});
+
+// Requeue dead-lettered messages (all, or only message_ids)
+app.post('/api/dead-letter/retry', (req, res) => {
+  const { firmId, message_ids } = req.body;
+  
+  if (!firmId) {
+    return res.status(400).json({
+      success: false,
+      error: 'firmId is required'
+    });
+  }
+  
+  if (message_ids !== undefined && !Array.isArray(message_ids)) {
+    return res.status(400).json({
+      success: false,
+      error: 'message_ids must be an array'
+    });
+  }
+  
+  const requeued = queue.requeueDeadLetters(firmId, message_ids);
+  requeued.forEach(message => notify(firmId, 'message.status', serializeMessage(firmId, message)));
+  processMessageQueue(firmId);
+  
+  res.json({
+    success: true,
+    message: `Requeued ${requeued.length} dead-lettered messages for firm ${firmId}`,
+    message_ids: requeued.map(message => message.id),
+    queue_length: queue.getQueued(firmId).length
+  });
+});
+
+// Permanently delete dead-lettered messages (all, or only message_ids)
+app.post('/api/dead-letter/purge', (req, res) => {
+  const { firmId, message_ids } = req.body;
+  
+  if (!firmId) {
+    return res.status(400).json({
+      success: false,
+      error: 'firmId is required'
+    });
+  }
+  
+  if (message_ids !== undefined && !Array.isArray(message_ids)) {
+    return res.status(400).json({
+      success: false,
+      error: 'message_ids must be an array'
+    });
+  }
+  
+  const purged = queue.purgeDeadLetters(firmId, message_ids);
+  
+  res.json({
+    success: true,
+    message: `Purged ${purged} dead-lettered messages for firm ${firmId}`
+  });
+});
+
+// Validate and normalize a list of numbers or a staff list without sending anything
+app.post('/api/numbers/validate', (req, res) => {
+  const { firmId, numbers, staff_list } = req.body;
+  const defaultCountry = req.body.default_country || (firmId && settings.getSettings(firmId, 'locale').default_country);
+  
+  if (!defaultCountry || !phone.isSupportedCountry(defaultCountry)) {
+    return res.status(400).json({
+      success: false,
+      error: 'firmId or a supported default_country is required'
+    });
+  }
+  
+  if (!Array.isArray(numbers) && !Array.isArray(staff_list)) {
+    return res.status(400).json({
+      success: false,
+      error: 'numbers or staff_list array is required'
+    });
+  }
+  
+  const entries = Array.isArray(staff_list)
+    ? staff_list.map(staff => ({ staff_id: staff.id, input: staff.mobile_number }))
+    : numbers.map(number => ({ input: number }));
+  
+  const results = entries.map((entry, index) => {
+    const { e164, country, type, error } = phone.normalizeNumber(entry.input, defaultCountry);
+    return error
+      ? { index, ...entry, valid: false, error }
+      : { index, ...entry, valid: true, e164, country, type };
+  });
+  
+  res.json({
+    success: true,
+    default_country: defaultCountry,
+    valid_count: results.filter(r => r.valid).length,
+    invalid_count: results.filter(r => !r.valid).length,
+    results
+  });
+});
+
+// Check which numbers are registered on WhatsApp for a firm
+app.post('/api/numbers/check', asyncRoute(async (req, res) => {
+  const { firmId, numbers } = req.body;
+  
+  if (!firmId || !Array.isArray(numbers) || numbers.length === 0) {
+    return res.status(400).json({
+      success: false,
+      error: 'firmId and a non-empty numbers array are required'
+    });
+  }
+  
+  if (connectionStatuses.get(firmId) !== 'ready' || !clients.has(firmId)) {
+    return res.status(503).json({
+      success: false,
+      error: `WhatsApp client is not ready for firm ${firmId}. Current status: ${connectionStatuses.get(firmId) || 'disconnected'}`
+    });
+  }
+  
+  const recipients = numbers.map(number => ({ input: number, ...normalizeRecipient(firmId, number) }));
+  const checks = await checkRegistration(firmId, recipients.filter(r => !r.error).map(r => r.digits));
+  
+  const results = recipients.map(({ input, e164, digits, error }, index) => {
+    if (error) return { index, input, valid: false, registered: false, error };
+    const { registered, cached, checked_at, error: lookupError } = checks.get(digits);
+    return { index, input, valid: true, e164, registered, cached, checked_at, error: lookupError };
+  });
+  
+  res.json({
+    success: true,
+    firm_id: firmId,
+    registered_count: results.filter(r => r.registered === true).length,
+    unregistered_count: results.filter(r => r.registered === false).length,
+    cache_ttl_ms: registration.CACHE_TTL_MS,
+    results
+  });
+}));
+
+// Inbound replies for a firm, newest first
+app.get('/api/inbox/:firmId', (req, res) => {
+  const firmId = req.params.firmId;
+  const { number, event_id, task_id, staff_id, confirmation } = req.query;
+  const limit = Math.min(parseInt(req.query.limit, 10) || 100, 1000);
+  
+  let from;
+  if (number) {
+    const recipient = normalizeRecipient(firmId, number);
+    if (recipient.error) {
+      return res.status(400).json({
+        success: false,
+        error: recipient.error
+      });
+    }
+    from = recipient.digits;
+  }
+  
+  const replies = inbox.listInbox(firmId, { from, event_id, task_id, staff_id, confirmation });
+  
+  res.json({
+    success: true,
+    firm_id: firmId,
+    count: replies.length,
+    replies: replies.slice(0, limit).map(reply => {
+      const original = reply.correlation && queue.getMessage(firmId, reply.correlation.message_id);
+      return { ...reply, original_message: original ? serializeMessage(firmId, original) : null };
+    })
+  });
+});
+
+// List a firm's suppressed numbers, newest first, optionally only those from one source
+app.get('/api/suppression/:firmId', (req, res) => {
+  const firmId = req.params.firmId;
+  const { source } = req.query;
+  
+  if (source && !suppression.SOURCES.includes(source)) {
+    return res.status(400).json({
+      success: false,
+      error: `source must be one of: ${suppression.SOURCES.join(', ')}`
+    });
+  }
+  
+  const entries = suppression.listSuppressed(firmId, { source });
+  
+  res.json({
+    success: true,
+    firm_id: firmId,
+    count: entries.length,
+    entries
+  });
+});
+
+// Download the suppression list as CSV (default) or JSON
+app.get('/api/suppression/:firmId/export', (req, res) => {
+  const firmId = req.params.firmId;
+  const format = req.query.format || 'csv';
+  
+  if (!['csv', 'json'].includes(format)) {
+    return res.status(400).json({
+      success: false,
+      error: 'format must be csv or json'
+    });
+  }
+  
+  const entries = suppression.listSuppressed(firmId);
+  res.setHeader('Content-Disposition', `attachment; filename="suppression-${firmId}.${format}"`);
+  
+  if (format === 'json') {
+    return res.json({
+      firm_id: firmId,
+      exported_at: new Date().toISOString(),
+      count: entries.length,
+      entries
+    });
+  }
+  
+  res.type('text/csv').send(suppression.toCsv(entries));
+});
+
+// Suppress numbers so nothing more is sent to them, cancelling anything already queued
+app.post('/api/suppression/:firmId', (req, res) => {
+  const firmId = req.params.firmId;
+  const { numbers, reason, note } = req.body;
+  
+  if (!Array.isArray(numbers) || numbers.length === 0) {
+    return res.status(400).json({
+      success: false,
+      error: 'numbers array is required'
+    });
+  }
+  
+  const results = numbers.map((input, index) => {
+    const recipient = normalizeRecipient(firmId, input);
+    if (recipient.error) return { index, input, success: false, error: recipient.error };
+    
+    const { entry, cancelled } = suppressNumber(firmId, recipient.digits, {
+      source: 'manual',
+      reason: typeof reason === 'string' && reason.trim() ? reason.trim().slice(0, 200) : null,
+      note: typeof note === 'string' ? note.slice(0, 500) : null
+    });
+    return { index, input, success: true, entry, cancelled_message_ids: cancelled.map(message => message.id) };
+  });
+  
+  const added = results.filter(result => result.success).length;
+  console.log(`🚫 Suppressed ${added} numbers for firm ${firmId}`);
+  
+  res.json({
+    success: true,
+    message: `Suppressed ${added} of ${numbers.length} numbers for firm ${firmId}`,
+    results
+  });
+});
+
+// Check whether a number is suppressed
+app.get('/api/suppression/:firmId/:number', (req, res) => {
+  const { firmId, number } = req.params;
+  const recipient = normalizeRecipient(firmId, number);
+  
+  if (recipient.error) {
+    return res.status(400).json({
+      success: false,
+      error: recipient.error
+    });
+  }
+  
+  const entry = suppression.getEntry(firmId, recipient.digits);
+  
+  res.json({
+    success: true,
+    number: recipient.digits,
+    suppressed: Boolean(entry),
+    entry
+  });
+});
+
+// Take a number off the suppression list, whichever way it got there
+app.delete('/api/suppression/:firmId/:number', (req, res) => {
+  const { firmId, number } = req.params;
+  const recipient = normalizeRecipient(firmId, number);
+  
+  if (recipient.error) {
+    return res.status(400).json({
+      success: false,
+      error: recipient.error
+    });
+  }
+  
+  if (!unsuppressNumber(firmId, recipient.digits)) {
+    return res.status(404).json({
+      success: false,
+      error: 'Number is not suppressed'
+    });
+  }
+  
+  console.log(`✅ Removed ${recipient.digits} from the suppression list for firm ${firmId}`);
+  
+  res.json({
+    success: true,
+    message: `${recipient.digits} removed from the suppression list for firm ${firmId}`
+  });
+});
+
+// Groups the firm's WhatsApp account is in, crew groups marked with their event
+app.get('/api/groups/:firmId', asyncRoute(async (req, res) => {
+  const firmId = req.params.firmId;
+  const client = clients.get(firmId);
+  
+  if (connectionStatuses.get(firmId) !== 'ready' || !client) {
+    return res.status(503).json({
+      success: false,
+      error: `WhatsApp client is not ready for firm ${firmId}. Current status: ${connectionStatuses.get(firmId) || 'disconnected'}`
+    });
+  }
+  
+  let groupList;
+  try {
+    groupList = await client.listGroups();
+  } catch (error) {
+    console.error(`❌ Failed to list groups for firm ${firmId}:`, error.message);
+    return res.status(502).json({
+      success: false,
+      error: `Groups could not be listed: ${error.message}`
+    });
+  }
+  
+  res.json({
+    success: true,
+    firm_id: firmId,
+    total: groupList.length,
+    groups: groupList.map(group => ({
+      group_id: group.id,
+      name: group.name,
+      participant_count: group.participants.length,
+      participants: group.participants,
+      crew_event_id: groups.findCrewEvent(firmId, group.id)
+    }))
+  });
+}));
+
+// Crew groups kept for the firm's events, newest first
+app.get('/api/groups/:firmId/crew', (req, res) => {
+  const firmId = req.params.firmId;
+  const crewGroups = groups.listCrewGroups(firmId);
+  
+  res.json({
+    success: true,
+    firm_id: firmId,
+    total: crewGroups.length,
+    crew_groups: crewGroups
+  });
+});
+
+app.get('/api/groups/:firmId/crew/:eventId', (req, res) => {
+  const { firmId, eventId } = req.params;
+  const crewGroup = groups.getCrewGroup(firmId, eventId);
+  
+  if (!crewGroup) {
+    return res.status(404).json({
+      success: false,
+      error: `No crew group for event ${eventId}`
+    });
+  }
+  
+  res.json({
+    success: true,
+    crew_group: crewGroup
+  });
+});
+
+// Stop keeping an event's crew group in sync, the WhatsApp group itself stays as it is
+app.delete('/api/groups/:firmId/crew/:eventId', (req, res) => {
+  const { firmId, eventId } = req.params;
+  const crewGroup = groups.removeCrewGroup(firmId, eventId);
+  
+  if (!crewGroup) {
+    return res.status(404).json({
+      success: false,
+      error: `No crew group for event ${eventId}`
+    });
+  }
+  
+  console.log(`👥 Crew group ${crewGroup.group_id} released from event ${eventId} of firm ${firmId}`);
+  
+  res.json({
+    success: true,
+    message: `Crew group for event ${eventId} is no longer kept in sync`,
+    crew_group: crewGroup
+  });
+});
+
+// Upload a media file (multipart field `file`) to reference from send requests
+app.post('/api/media/:firmId', (req, res) => {
+  const firmId = req.params.firmId;
+  
+  if (!media.isValidFirmId(firmId)) {
+    return res.status(400).json({
+      success: false,
+      error: 'firmId cannot contain path separators or be . or ..'
+    });
+  }
+  
+  upload.single('file')(req, res, (err) => {
+    if (err) {
+      return res.status(err.code === 'LIMIT_FILE_SIZE' ? 413 : 400).json({
+        success: false,
+        error: err.message
+      });
+    }
+    
+    if (!req.file) {
+      return res.status(400).json({
+        success: false,
+        error: 'A file is required in the `file` field'
+      });
+    }
+    
+    const validationError = media.validateMedia(req.file.mimetype, req.file.size);
+    if (validationError) {
+      fs.rmSync(req.file.path, { force: true });
+      return res.status(400).json({
+        success: false,
+        error: validationError
+      });
+    }
+    
+    const metadata = media.saveFile(firmId, {
+      sourcePath: req.file.path,
+      filename: req.file.originalname,
+      mimetype: req.file.mimetype,
+      size: req.file.size
+    });
+    console.log(`📎 Media ${metadata.id} (${metadata.mimetype}, ${metadata.size} bytes) uploaded for firm ${firmId}`);
+    
+    res.status(201).json({
+      success: true,
+      media: media.serializeMedia(metadata)
+    });
+  });
+});
+
+// List uploaded media for a firm
+app.get('/api/media/:firmId', (req, res) => {
+  const firmId = req.params.firmId;
+  
+  res.json({
+    success: true,
+    firm_id: firmId,
+    media: media.listMedia(firmId).map(media.serializeMedia)
+  });
+});
+
+// Get metadata for an uploaded file
+app.get('/api/media/:firmId/:mediaId', (req, res) => {
+  const { firmId, mediaId } = req.params;
+  const metadata = media.getMedia(firmId, mediaId);
+  
+  if (!metadata) {
+    return res.status(404).json({
+      success: false,
+      error: 'Media not found'
+    });
+  }
+  
+  res.json({
+    success: true,
+    media: media.serializeMedia(metadata)
+  });
+});
+
+// Delete an uploaded file
+app.delete('/api/media/:firmId/:mediaId', (req, res) => {
+  const { firmId, mediaId } = req.params;
+  
+  if (!media.deleteMedia(firmId, mediaId)) {
+    return res.status(404).json({
+      success: false,
+      error: 'Media not found'
+    });
+  }
+  
+  res.json({
+    success: true,
+    message: `Media ${mediaId} deleted for firm ${firmId}`
+  });
+});
+
+// List pending scheduled messages for a firm
+app.get('/api/scheduled/:firmId', (req, res) => {
+  const firmId = req.params.firmId;
+  const { event_id, task_id, type } = req.query;
+  const messages = queue.getScheduled(firmId, { event_id, task_id, type })
+    .sort((a, b) => new Date(a.send_at) - new Date(b.send_at));
+  
+  res.json({
+    success: true,
+    firm_id: firmId,
+    count: messages.length,
+    messages: messages.map(message => serializeMessage(firmId, message))
+  });
+});
+
+// Move a scheduled message to a new send time
+app.post('/api/scheduled/reschedule', (req, res) => {
+  const { firmId, message_id } = req.body;
+  const { sendAt, error: sendAtError } = parseSendAt(req.body.send_at);
+  
+  if (!firmId || !message_id || !sendAt) {
+    return res.status(400).json({
+      success: false,
+      error: sendAtError || 'firmId, message_id and send_at are required'
+    });
+  }
+  
+  const message = queue.reschedule(firmId, message_id, sendAt);
+  if (!message) {
+    return res.status(404).json({
+      success: false,
+      error: `No scheduled message ${message_id} for firm ${firmId}`
+    });
+  }
+  
+  notify(firmId, 'message.status', serializeMessage(firmId, message));
+  processMessageQueue(firmId);
+  
+  res.json({
+    success: true,
+    message: serializeMessage(firmId, message)
+  });
+});
+
+// Cancel scheduled messages by message_ids, event_id or task_id
+app.post('/api/scheduled/cancel', (req, res) => {
+  const { firmId, message_ids, event_id, task_id } = req.body;
+  
+  if (!firmId || (!message_ids && !event_id && !task_id)) {
+    return res.status(400).json({
+      success: false,
+      error: 'firmId and one of message_ids, event_id or task_id are required'
+    });
+  }
+  
+  if (message_ids !== undefined && !Array.isArray(message_ids)) {
+    return res.status(400).json({
+      success: false,
+      error: 'message_ids must be an array'
+    });
+  }
+  
+  const cancelled = queue.cancelScheduled(firmId, { messageIds: message_ids, event_id, task_id });
+  cancelled.forEach(message => notify(firmId, 'message.status', serializeMessage(firmId, message)));
+  
+  res.json({
+    success: true,
+    message: `Cancelled ${cancelled.length} scheduled messages for firm ${firmId}`,
+    message_ids: cancelled.map(message => message.id)
+  });
+});
+
+// Turn message history query parameters into search filters, returns { filters } or { error }
+const parseHistoryFilters = (firmId, query) => {
+  const { staff_id, event_id, task_id, batch_id, type, status, from, to, text } = query;
+  
+  let number;
+  if (query.number) {
+    const recipient = normalizeRecipient(firmId, query.number);
+    if (recipient.error) return { error: recipient.error };
+    number = recipient.digits;
+  }
+  
+  let groupId;
+  if (query.group_id) {
+    const group = groups.normalizeGroupId(query.group_id);
+    if (group.error) return { error: group.error };
+    groupId = group.group_id;
+  }
+  
+  const invalidDate = [['from', from], ['to', to]].find(([, value]) => value && isNaN(new Date(value).getTime()));
+  if (invalidDate) return { error: `${invalidDate[0]} must be an ISO 8601 date or timestamp` };
+  
+  return { filters: { number, group_id: groupId, staff_id, event_id, task_id, batch_id, type, status, from, to, text } };
+};
+
+// Search a firm's message history, newest first, a page at a time
+app.get('/api/history/:firmId', (req, res) => {
+  const firmId = req.params.firmId;
+  const { filters, error } = parseHistoryFilters(firmId, req.query);
+  
+  if (error) {
+    return res.status(400).json({
+      success: false,
+      error
     });
-  });
+  }
   
-  messageQueues.set(firmId, messageQueue);
-  processMessageQueue(firmId);
+  const page = Math.max(parseInt(req.query.page, 10) || 1, 1);
+  const pageSize = Math.min(Math.max(parseInt(req.query.page_size, 10) || 50, 1), 500);
+  const records = history.search(firmId, filters);
   
   res.json({
     success: true,
-    message: `Task notifications queued for ${staff_list.length} staff members for firm ${firmId}`,
-    task_title: task.title,
-    results,
-    queue_length: messageQueue.length
+    firm_id: firmId,
+    pagination: {
+      page,
+      page_size: pageSize,
+      total: records.length,
+      total_pages: Math.ceil(records.length / pageSize)
+    },
+    messages: records.slice((page - 1) * pageSize, page * pageSize).map(record => serializeMessage(firmId, record))
   });
 });
 
-// Clear message queue for specific firm
-app.post('/api/clear-queue', (req, res) => {
-  const { firmId } = req.body;
+// Download the matching message history as CSV (default) or JSON
+app.get('/api/history/:firmId/export', (req, res) => {
+  const firmId = req.params.firmId;
+  const format = req.query.format || 'csv';
+  const { filters, error } = parseHistoryFilters(firmId, req.query);
   
-  if (!firmId) {
+  if (error || !['csv', 'json'].includes(format)) {
     return res.status(400).json({
       success: false,
-      error: 'firmId is required'
+      error: error || 'format must be csv or json'
+    });
+  }
+  
+  const records = history.search(firmId, filters).map(record => serializeMessage(firmId, record));
+  res.setHeader('Content-Disposition', `attachment; filename="history-${firmId}.${format}"`);
+  
+  if (format === 'json') {
+    return res.json({
+      firm_id: firmId,
+      exported_at: new Date().toISOString(),
+      count: records.length,
+      messages: records
+    });
+  }
+  
+  res.type('text/csv').send(history.toCsv(records));
+});
+
+// Delete finished messages from the history, older than `before` or the firm's retention period
+app.post('/api/history/:firmId/purge', (req, res) => {
+  const firmId = req.params.firmId;
+  const { before } = req.body;
+  
+  if (before !== undefined && isNaN(new Date(before).getTime())) {
+    return res.status(400).json({
+      success: false,
+      error: 'before must be an ISO 8601 date or timestamp'
     });
   }
   
-  const messageQueue = messageQueues.get(firmId) || [];
-  const queueLength = messageQueue.length;
-  messageQueues.set(firmId, []);
+  const purged = history.purge(firmId, before);
+  console.log(`🧹 Purged ${purged} history records for firm ${firmId}`);
   
   res.json({
     success: true,
-    message: `Cleared ${queueLength} messages from queue for firm ${firmId}`
+    message: `Purged ${purged} history records for firm ${firmId}`,
+    purged
   });
 });
 
-// Get queue status for specific firm
-app.get('/api/queue/:firmId', (req, res) => {
+// List a firm's send batches with their progress, newest first
+app.get('/api/batches/:firmId', (req, res) => {
   const firmId = req.params.firmId;
-  const messageQueue = messageQueues.get(firmId) || [];
-  const isProcessing = processingStates.get(firmId) || false;
+  const { status, type } = req.query;
+  
+  if (type && !batches.TYPES.includes(type)) {
+    return res.status(400).json({
+      success: false,
+      error: `type must be one of: ${batches.TYPES.join(', ')}`
+    });
+  }
+  
+  const summaries = batches.listBatches(firmId)
+    .filter(batch => !type || batch.type === type)
+    .map(batch => summarizeBatch(firmId, batch))
+    .filter(batch => !status || batch.status === status);
   
   res.json({
     success: true,
     firm_id: firmId,
-    queue_length: messageQueue.length,
-    is_processing: isProcessing,
-    messages: messageQueue.slice(0, 10)
+    count: summaries.length,
+    batches: summaries
   });
 });
 
-// Message formatting functions with single-asterisk WhatsApp bold
-const formatEventMessage = (event, staff, assignment) => {
-  const formatDate = (dateString) => {
-    if (!dateString || dateString === 'undefined' || dateString === 'null') return 'Date not specified';
-    try {
-      let date;
-      if (typeof dateString === 'string' && dateString.match(/^\d{4}-\d{2}-\d{2}$/)) {
-        date = new Date(dateString + 'T00:00:00');
-      } else {
-        date = new Date(dateString);
-      }
-      if (isNaN(date.getTime())) return 'Invalid date';
-      return date.toLocaleDateString('en-IN', {
-        day: 'numeric',
-        month: 'long',
-        year: 'numeric',
-      });
-    } catch {
-      return 'Date formatting error';
-    }
-  };
+// Look up a batch of the firm in the path, responding 404 when there is none
+const findBatch = (req, res) => {
+  const batch = batches.getBatch(req.params.firmId, req.params.batchId);
+  if (!batch) {
+    res.status(404).json({
+      success: false,
+      error: 'Batch not found'
+    });
+  }
+  return batch;
+};
 
-  const getOrdinalNumber = (num) => {
-    const suffixes = ['th', 'st', 'nd', 'rd'];
-    const v = num % 100;
-    return num + (suffixes[(v - 20) % 10] || suffixes[v] || suffixes[0]);
-  };
+// Push a batch's new state to the firm's event stream and return it
+const publishBatch = (firmId, batch) => {
+  const summary = summarizeBatch(firmId, batch);
+  eventStream.publish(firmId, 'batch', summary);
+  return summary;
+};
 
-  let message = `*EVENT ASSIGNMENT*\n\n`;
-  message += `Hello *${staff.full_name}*,\n\n`;
-  if (assignment) {
-    const dayText = getOrdinalNumber(assignment.day_number);
-    message += `You are assigned as *${assignment.role.toUpperCase()}* on *DAY ${dayText}* for the following event:\n\n`;
-    message += `*Title*: ${event.title || 'Not specified'}\n`;
-    message += `*Type*: ${event.eventType || event.event_type || 'Not specified'}\n`;
-    
-    // For multi-day events, show full date range
-    if ((event.totalDays || event.total_days) && (event.totalDays > 1 || event.total_days > 1)) {
-      const startDate = new Date((event.eventDate || event.event_date) + 'T00:00:00');
-      const endDate = new Date(startDate);
-      endDate.setDate(startDate.getDate() + (event.totalDays || event.total_days) - 1);
-      const startFormatted = startDate.toLocaleDateString('en-IN', { day: 'numeric', month: 'long', year: 'numeric' });
-      const endFormatted = endDate.toLocaleDateString('en-IN', { day: 'numeric', month: 'long', year: 'numeric' });
-      message += `*Date*: ${startFormatted} - ${endFormatted}\n`;
-    } else {
-      message += `*Date*: ${formatDate(assignment.day_date)}\n`;
-    }
+// Get a single batch with its progress
+app.get('/api/batches/:firmId/:batchId', (req, res) => {
+  const batch = findBatch(req, res);
+  if (!batch) return;
+  
+  res.json({
+    success: true,
+    batch: summarizeBatch(req.params.firmId, batch)
+  });
+});
+
+// Stop sending a batch's remaining messages until it is resumed
+app.post('/api/batches/:firmId/:batchId/pause', (req, res) => {
+  const firmId = req.params.firmId;
+  const batch = findBatch(req, res);
+  if (!batch) return;
+  
+  if (batch.state !== 'active') {
+    return res.status(409).json({
+      success: false,
+      error: `Batch is ${batch.state} and cannot be paused`
+    });
+  }
+  
+  const paused = queue.setPaused(firmId, { batch_id: batch.id }, true);
+  batches.setState(firmId, batch.id, 'paused');
+  console.log(`⏸️ Paused batch ${batch.id} for firm ${firmId} (${paused} messages held)`);
+  
+  res.json({
+    success: true,
+    message: `Paused ${paused} messages in batch ${batch.name}`,
+    batch: publishBatch(firmId, batch)
+  });
+});
+
+// Carry on sending a paused batch
+app.post('/api/batches/:firmId/:batchId/resume', (req, res) => {
+  const firmId = req.params.firmId;
+  const batch = findBatch(req, res);
+  if (!batch) return;
+  
+  if (batch.state !== 'paused') {
+    return res.status(409).json({
+      success: false,
+      error: `Batch is ${batch.state}, only paused batches can be resumed`
+    });
+  }
+  
+  const resumed = queue.setPaused(firmId, { batch_id: batch.id }, false);
+  batches.setState(firmId, batch.id, 'active');
+  console.log(`▶️ Resumed batch ${batch.id} for firm ${firmId} (${resumed} messages released)`);
+  processMessageQueue(firmId);
+  
+  res.json({
+    success: true,
+    message: `Resumed ${resumed} messages in batch ${batch.name}`,
+    batch: publishBatch(firmId, batch)
+  });
+});
+
+// Cancel every message of a batch that has not been sent yet, including scheduled reminders
+app.post('/api/batches/:firmId/:batchId/cancel', (req, res) => {
+  const firmId = req.params.firmId;
+  const batch = findBatch(req, res);
+  if (!batch) return;
+  
+  if (batch.state === 'cancelled') {
+    return res.status(409).json({
+      success: false,
+      error: 'Batch is already cancelled'
+    });
+  }
+  
+  const cancelled = queue.cancelPending(firmId, { batch_id: batch.id });
+  cancelled.forEach(message => notify(firmId, 'message.status', serializeMessage(firmId, message)));
+  batches.setState(firmId, batch.id, 'cancelled');
+  console.log(`🛑 Cancelled batch ${batch.id} for firm ${firmId} (${cancelled.length} messages)`);
+  
+  res.json({
+    success: true,
+    message: `Cancelled ${cancelled.length} messages in batch ${batch.name}`,
+    message_ids: cancelled.map(message => message.id),
+    batch: publishBatch(firmId, batch)
+  });
+});
+
+// Send a batch's failed messages again with a fresh set of attempts
+app.post('/api/batches/:firmId/:batchId/retry-failed', (req, res) => {
+  const firmId = req.params.firmId;
+  const batch = findBatch(req, res);
+  if (!batch) return;
+  
+  if (batch.state === 'cancelled') {
+    return res.status(409).json({
+      success: false,
+      error: 'Batch is cancelled'
+    });
+  }
+  
+  const failedIds = queue.listMessages(firmId, { batch_id: batch.id, status: 'failed' }).map(message => message.id);
+  const requeued = failedIds.length > 0 ? queue.requeueDeadLetters(firmId, failedIds) : [];
+  // A paused batch keeps its retries on hold too
+  if (batch.state === 'paused') queue.setPaused(firmId, { batch_id: batch.id }, true);
+  requeued.forEach(message => notify(firmId, 'message.status', serializeMessage(firmId, message)));
+  processMessageQueue(firmId);
+  
+  res.json({
+    success: true,
+    message: `Requeued ${requeued.length} failed messages in batch ${batch.name}`,
+    message_ids: requeued.map(message => message.id),
+    batch: publishBatch(firmId, batch)
+  });
+});
+
+// List a firm's templates, including built-in defaults it has not overridden
+app.get('/api/templates/:firmId', (req, res) => {
+  const firmId = req.params.firmId;
+  
+  res.json({
+    success: true,
+    firm_id: firmId,
+    templates: templates.listTemplates(firmId)
+  });
+});
+
+// Preview a template without sending anything.
+// Pass either a saved template `name` or an unsaved `body`, plus the data to render it with:
+// `event`/`staff`/`assignment` for event_assignment, `event`/`staff`/`assignments` for the consolidated event
+// templates (plus `previous_event`/`previous_assignments` for updates), `task`/`staff` for task_assignment, `variables` for custom.
+app.post('/api/templates/:firmId/render', (req, res) => {
+  const firmId = req.params.firmId;
+  const { name, body, event, task, staff, staff_list, assignment, variables } = req.body;
+  
+  const template = body ? { type: req.body.type || 'custom', body } : templates.getTemplate(firmId, name);
+  if (!template) {
+    return res.status(404).json({
+      success: false,
+      error: `Template ${name} not found`
+    });
+  }
+  
+  const validationError = templates.validateTemplate(name, template);
+  if (validationError) {
+    return res.status(400).json({
+      success: false,
+      error: validationError
+    });
+  }
+  
+  const isEventTemplate = template.type.startsWith('event_');
+  // Group templates are rendered for a whole staff list rather than one staff member
+  const isGroupTemplate = template.type === 'event_crew' || template.type === 'task_group';
+  const hasStaff = isGroupTemplate ? Array.isArray(staff_list) && staff_list.length > 0 : Boolean(staff);
+  if (template.type !== 'custom' && (!hasStaff || (isEventTemplate ? !event : !task))) {
+    return res.status(400).json({
+      success: false,
+      error: `${isEventTemplate ? 'event' : 'task'} and ${isGroupTemplate ? 'staff_list' : 'staff'} are required`
+    });
+  }
+  
+  let context;
+  if (template.type === 'event_assignment') {
+    context = templates.buildEventContext(firmId, event, staff, assignment || null);
+  } else if (template.type === 'event_assignment_summary' || template.type === 'event_assignment_cancellation') {
+    context = templates.buildAssignmentSummaryContext(firmId, event, staff, assignments.resolveDays(event, staff, req.body.assignments));
+  } else if (template.type === 'event_assignment_update') {
+    // Changes are worked out against `previous_event` and `previous_assignments`, defaulting to the current ones
+    const days = assignments.resolveDays(event, staff, req.body.assignments);
+    const previousEvent = req.body.previous_event || event;
+    const previous = assignments.buildSnapshot(previousEvent, staff, assignments.resolveDays(previousEvent, staff, req.body.previous_assignments || req.body.assignments));
+    const changes = assignments.diffSnapshots(previous, assignments.buildSnapshot(event, staff, days));
+    context = templates.buildAssignmentUpdateContext(firmId, event, staff, days, changes);
+  } else if (template.type === 'event_reminder') {
+    context = templates.buildReminderContext(firmId, event, staff, assignment || null, {
+      date: assignment ? assignment.day_date : (event.eventDate || event.event_date),
+      startTime: (assignment && assignment.start_time) || event.start_time || settings.getSettings(firmId, 'reminders').default_start_time,
+      offsetHours: req.body.offset_hours || 24
+    });
+  } else if (template.type === 'event_crew') {
+    // Day assignments come as in /api/send-event-messages, `staff_assignments` with a `staff_id` each
+    const staffAssignments = Array.isArray(req.body.staff_assignments) ? req.body.staff_assignments : [];
+    context = templates.buildCrewContext(firmId, event, staff_list.map(member => ({
+      staff: member,
+      days: assignments.resolveDays(event, member, staffAssignments.filter(entry => String(entry.staff_id) === String(member.id)))
+    })));
+  } else if (template.type === 'task_assignment') {
+    context = templates.buildTaskContext(firmId, task, staff);
+  } else if (template.type === 'task_group') {
+    context = templates.buildTaskGroupContext(firmId, task, staff_list);
   } else {
-    message += `You are assigned as *${(event.role || staff.role || 'STAFF').toUpperCase()}* for the following event:\n\n`;
-    message += `*Title*: ${event.title || 'Not specified'}\n`;
-    message += `*Type*: ${event.eventType || event.event_type || 'Not specified'}\n`;
-    if ((event.totalDays || event.total_days) && (event.totalDays > 1 || event.total_days > 1)) {
-      const startDate = new Date((event.eventDate || event.event_date) + 'T00:00:00');
-      const endDate = new Date(startDate);
-      endDate.setDate(startDate.getDate() + (event.totalDays || event.total_days) - 1);
-      const startFormatted = startDate.toLocaleDateString('en-IN', { day: 'numeric', month: 'long', year: 'numeric' });
-      const endFormatted = endDate.toLocaleDateString('en-IN', { day: 'numeric', month: 'long', year: 'numeric' });
-      message += `*Date*: ${startFormatted} - ${endFormatted}\n`;
-    } else {
-      message += `*Date*: ${formatDate(event.eventDate || event.event_date)}\n`;
-    }
+    context = { firm_name: settings.getSettings(firmId, 'branding').firm_name, ...(variables || {}) };
+  }
+  
+  res.json({
+    success: true,
+    type: template.type,
+    message: templates.render(template.body, context)
+  });
+});
+
+// Get a single template
+app.get('/api/templates/:firmId/:name', (req, res) => {
+  const { firmId, name } = req.params;
+  const template = templates.getTemplate(firmId, name);
+  
+  if (!template) {
+    return res.status(404).json({
+      success: false,
+      error: `Template ${name} not found`
+    });
   }
-  if (event.clientName || event.client_name) {
-    message += `*Client*: ${event.clientName || event.client_name}\n`;
+  
+  res.json({
+    success: true,
+    template
+  });
+});
+
+// Create or replace a firm template
+app.put('/api/templates/:firmId/:name', (req, res) => {
+  const { firmId, name } = req.params;
+  const { type, body } = req.body;
+  
+  if (!templates.isValidName(name)) {
+    return res.status(400).json({
+      success: false,
+      error: 'Template names may only contain letters, numbers, underscores and dashes, and cannot be a reserved name such as constructor'
+    });
   }
-  if (event.venue && event.venue.trim() !== '') {
-    message += `*Venue*: ${event.venue}\n`;
+  
+  const validationError = templates.validateTemplate(name, { type, body });
+  if (validationError) {
+    return res.status(400).json({
+      success: false,
+      error: validationError
+    });
   }
-  message += `*Contact*: ${staff.mobile_number}\n`;
-  if (event.description && event.description.trim() !== '') {
-    message += `\n_${event.description}_\n`;
+  
+  const template = templates.saveTemplate(firmId, name, { type, body });
+  console.log(`📝 Template ${name} saved for firm ${firmId}`);
+  
+  res.json({
+    success: true,
+    template
+  });
+});
+
+// Delete a firm template (built-in defaults come back into effect)
+app.delete('/api/templates/:firmId/:name', (req, res) => {
+  const { firmId, name } = req.params;
+  
+  if (!templates.deleteTemplate(firmId, name)) {
+    return res.status(404).json({
+      success: false,
+      error: `Template ${name} not found`
+    });
   }
-  message += `\nThank you for being part of *Prit Photo*`;
-  return message;
-};
+  
+  res.json({
+    success: true,
+    message: `Template ${name} deleted for firm ${firmId}`
+  });
+});
 
-const formatTaskMessage = (task, staff) => {
-  const formatDate = (dateString) => {
-    if (!dateString || dateString === 'undefined' || dateString === 'null') return 'Date not specified';
-    try {
-      let date;
-      if (typeof dateString === 'string' && dateString.match(/^\d{4}-\d{2}-\d{2}$/)) {
-        date = new Date(dateString + 'T00:00:00');
-      } else {
-        date = new Date(dateString);
-      }
-      if (isNaN(date.getTime())) return 'Invalid date';
-      return date.toLocaleDateString('en-IN', {
-        weekday: 'long',
-        year: 'numeric',
-        month: 'long',
-        day: 'numeric',
+// Test hooks for firms on the mock transport, only mounted when it is enabled
+if (process.env.ENABLE_MOCK_TRANSPORT === 'true') {
+  const getMockClient = (req, res) => {
+    const client = clients.get(req.params.firmId);
+    if (!client || client.driver !== 'mock') {
+      res.status(404).json({
+        success: false,
+        error: `Firm ${req.params.firmId} is not connected through the mock transport`
       });
-    } catch {
-      return 'Date formatting error';
+      return null;
     }
+    return client;
   };
+  
+  // Messages the mock transport has "sent"
+  app.get('/api/mock/:firmId/sent', (req, res) => {
+    const client = getMockClient(req, res);
+    if (!client) return;
+    res.json({
+      success: true,
+      sent: client.sent
+    });
+  });
+  
+  // Simulate an inbound message, a disconnect, an auth failure or a group the account was added to
+  app.post('/api/mock/:firmId/simulate', (req, res) => {
+    const client = getMockClient(req, res);
+    if (!client) return;
+    const { action, from, body, reason, name, participants } = req.body;
+    let groupId;
+    
+    if (action === 'incoming') client.simulateIncoming(from, body || '');
+    else if (action === 'disconnect') client.simulateDisconnect(reason);
+    else if (action === 'auth_failure') client.simulateAuthFailure(reason);
+    else if (action === 'scan') client.scan();
+    else if (action === 'group') groupId = client.simulateGroup(name || 'Mock group', participants || []);
+    else {
+      return res.status(400).json({
+        success: false,
+        error: 'action must be one of: incoming, disconnect, auth_failure, scan, group'
+      });
+    }
+    
+    res.json({
+      success: true,
+      message: `Simulated ${action} for firm ${req.params.firmId}`,
+      ...(groupId && { group_id: groupId })
+    });
+  });
+}
 
-  let message = `*TASK ASSIGNMENT*\n\n`;
-  message += `Hello *${staff.full_name}*,\n\n`;
-  message += `You have been assigned a new task:\n\n`;
-  message += `*Title*: ${task.title || 'Not specified'}\n`;
-  message += `*Type*: ${task.taskType || task.task_type || 'General'}\n`;
-  message += `*Priority*: ${task.priority || 'Medium'}\n`;
-  if (task.dueDate || task.due_date) {
-    message += `*Due*: ${formatDate(task.dueDate || task.due_date)}\n`;
-  }
-  if (task.eventTitle || task.event_title) {
-    message += `*Event*: ${task.eventTitle || task.event_title}\n`;
+// Issue a new API key for a firm (admin only)
+app.post('/api/keys', requireAdmin, (req, res) => {
+  const { firmId, label } = req.body;
+  
+  if (!firmId) {
+    return res.status(400).json({
+      success: false,
+      error: 'firmId is required'
+    });
   }
-  if (task.amount && task.amount > 0) {
-    message += `*Amount*: ₹${task.amount.toLocaleString()}\n`;
+  
+  const { key, record } = auth.createKey(firmId, label);
+  console.log(`🔑 API key ${record.id} issued for firm ${firmId}`);
+  
+  res.status(201).json({
+    success: true,
+    api_key: key,
+    key: record,
+    message: 'Store this key securely, it will not be shown again'
+  });
+});
+
+// List API keys for a firm (metadata only, never the key itself)
+app.get('/api/keys/:firmId', (req, res) => {
+  const firmId = req.params.firmId;
+  
+  res.json({
+    success: true,
+    firm_id: firmId,
+    keys: auth.listKeys(firmId)
+  });
+});
+
+// Revoke an API key and issue a replacement
+app.post('/api/keys/:keyId/rotate', (req, res) => {
+  const record = auth.getKeyRecord(req.params.keyId);
+  
+  if (!record || record.revoked_at || !auth.canAccessFirm(req.auth, record.firm_id)) {
+    return res.status(404).json({
+      success: false,
+      error: 'API key not found'
+    });
   }
-  if (task.description && task.description.trim() !== '') {
-    message += `\n*Details:*\n_${task.description}_\n`;
+  
+  const { key, record: replacement } = auth.rotateKey(record.id);
+  console.log(`🔑 API key ${record.id} rotated to ${replacement.id} for firm ${record.firm_id}`);
+  
+  res.json({
+    success: true,
+    api_key: key,
+    key: replacement,
+    revoked_key_id: record.id,
+    message: 'Store this key securely, it will not be shown again'
+  });
+});
+
+// Revoke an API key
+app.delete('/api/keys/:keyId', (req, res) => {
+  const record = auth.getKeyRecord(req.params.keyId);
+  
+  if (!record || record.revoked_at || !auth.canAccessFirm(req.auth, record.firm_id)) {
+    return res.status(404).json({
+      success: false,
+      error: 'API key not found'
+    });
   }
-  message += `\nThank you for being part of *Prit Photo*`;
-  return message;
-};
+  
+  auth.revokeKey(record.id);
+  console.log(`🔑 API key ${record.id} revoked for firm ${record.firm_id}`);
+  
+  res.json({
+    success: true,
+    message: `API key ${record.id} revoked`
+  });
+});
 
-// Process queue every 30 seconds for all firms
+// Release due scheduled messages and process queue every 30 seconds for all firms
 cron.schedule('*/30 * * * * *', () => {
+  // Release scheduled messages that have fallen due
+  queue.promoteDue().forEach(({ firmId, message }) => {
+    notify(firmId, 'message.status', serializeMessage(firmId, message));
+  });
+  
   Array.from(clients.keys()).forEach(firmId => {
-    const messageQueue = messageQueues.get(firmId) || [];
+    const queueLength = queue.getQueued(firmId).length;
     const isClientReady = connectionStatuses.get(firmId) === 'ready';
     const isProcessing = processingStates.get(firmId) || false;
     
-    if (messageQueue.length > 0 && isClientReady && !isProcessing) {
+    if (queueLength > 0 && isClientReady && !isProcessing) {
       console.log(`⏰ Cron: Processing message queue for firm ${firmId}...`);
       processMessageQueue(firmId);
     }
   });
+  
+  // Catch queue changes that happened outside the send path, e.g. cleared queues
+  Array.from(connectionStatuses.keys())
+    .filter(firmId => eventStream.hasSubscribers(firmId))
+    .forEach(firmId => publishQueueState(firmId));
+  
+  // Wake hibernated firms with messages due, e.g. freshly promoted scheduled sends
+  Array.from(connectionStatuses.keys())
+    .filter(firmId => connectionStatuses.get(firmId) === 'hibernated')
+    .forEach(firmId => processMessageQueue(firmId));
+  
+  // Free the browsers of sessions that have sat idle
+  Array.from(clients.keys())
+    .filter(firmId => isEvictable(firmId) && sessionPool.isIdle(firmId))
+    .forEach(firmId => hibernateSession(firmId, 'idle'));
+});
+
+// Apply each firm's history retention once an hour
+cron.schedule('0 * * * *', () => {
+  history.getFirmIds().forEach(firmId => {
+    const purged = history.purge(firmId);
+    if (purged > 0) console.log(`🧹 Purged ${purged} expired history records for firm ${firmId}`);
+  });
 });
 
 // Error handling
 app.use((error, req, res, next) => {
   console.error('Server error:', error);
+  // Express's own handler closes the connection when the response has already started
+  if (res.headersSent) return next(error);
+  
+  // A 500 also releases the request's Idempotency-Key (see `idempotent`), so the client can retry it
   res.status(500).json({
     success: false,
     error: 'Internal server error',
@@ -727,4 +3446,8 @@ app.listen(PORT, () => {
   console.log(`🚀 WhatsApp Multi-Firm Service running on port ${PORT}`);
   console.log(`📱 Health check: http://localhost:${PORT}/health`);
   console.log(`🏢 Firm-isolated sessions ready`);
+  if (!auth.ADMIN_API_KEY) {
+    console.warn('⚠️ ADMIN_API_KEY is not set - no API keys can be issued and every /api request will be rejected');
+  }
+  restoreSessions();
 });
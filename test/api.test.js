@@ -0,0 +1,300 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const path = require('path');
+const { startServer, waitFor } = require('./helpers/server');
+
+const FIRM = 'firm-test';
+const STAFF_NUMBER = '919800000011';
+
+const event = {
+  id: 'event-1',
+  title: 'Wedding Shoot',
+  event_type: 'Wedding',
+  event_date: '2030-01-15',
+  venue: 'Grand Hotel'
+};
+
+const staff = { id: 'staff-1', full_name: 'Asha', mobile_number: STAFF_NUMBER, role: 'Photographer' };
+
+// Every test gets a fresh server, so no state (or rate limit budget) is shared
+const withServer = (env, fn) => async () => {
+  const server = await startServer(env);
+  try {
+    await server.connect(FIRM);
+    await fn(server);
+  } finally {
+    await server.stop();
+  }
+};
+
+const getMessage = async (server, messageId) => (await server.request('GET', `/api/messages/${messageId}`)).body.message;
+
+const waitForStatus = (server, messageId, statuses) => waitFor(async () => {
+  const message = await getMessage(server, messageId);
+  return message && statuses.includes(message.status) && message;
+}, { intervalMs: 200, description: `message ${messageId} to reach ${statuses.join('/')}` });
+
+test('queues bulk messages and delivers them through the transport', withServer({}, async (server) => {
+  const sent = await server.request('POST', '/api/send-bulk-messages', {
+    firmId: FIRM,
+    messages: [
+      { number: '919800000001', message: 'First' },
+      { number: '9800000002', message: 'Second' },
+      { number: '12', message: 'Invalid number' }
+    ]
+  });
+  assert.equal(sent.status, 200);
+  assert.deepEqual(sent.body.results.map(result => result.success), [true, true, false]);
+
+  const status = await server.request('GET', `/api/queue/${FIRM}?status=queued,scheduled`);
+  assert.equal(status.status, 200);
+  assert.equal(status.body.success, true);
+
+  const [first, second] = sent.body.results;
+  await waitForStatus(server, first.message_id, ['read']);
+  const delivered = await waitForStatus(server, second.message_id, ['read']);
+  assert.equal(delivered.number, '919800000002');
+
+  const { body } = await server.request('GET', `/api/mock/${FIRM}/sent`);
+  assert.deepEqual(body.sent.map(message => message.text), ['First', 'Second']);
+}));
+
+test('retries transient failures and dead-letters the message once attempts run out', withServer({
+  MOCK_TRANSPORT_FAIL_NUMBERS: '919800000099'
+}, async (server) => {
+  await server.request('PUT', `/api/settings/${FIRM}`, { retry: { max_attempts: 2, base_delay_ms: 50, max_delay_ms: 100 } });
+  const sent = await server.request('POST', '/api/send-bulk-messages', {
+    firmId: FIRM,
+    messages: [{ number: '919800000099', message: 'Will fail' }]
+  });
+  const messageId = sent.body.results[0].message_id;
+
+  const failed = await waitForStatus(server, messageId, ['failed']);
+  assert.equal(failed.attempts, 2);
+  assert.equal(failed.error_type, 'transient');
+
+  const deadLetters = await server.request('GET', `/api/dead-letter/${FIRM}`);
+  assert.deepEqual(deadLetters.body.messages.map(message => message.message_id), [messageId]);
+}));
+
+test('replays the original response for a repeated Idempotency-Key', withServer({}, async (server) => {
+  const body = { firmId: FIRM, messages: [{ number: '919800000003', message: 'Once only' }] };
+  const headers = { 'Idempotency-Key': 'key-1' };
+
+  const first = await server.request('POST', '/api/send-bulk-messages', body, headers);
+  const replay = await server.request('POST', '/api/send-bulk-messages', body, headers);
+  assert.equal(replay.status, first.status);
+  assert.equal(replay.headers.get('idempotent-replayed'), 'true');
+  assert.deepEqual(replay.body, first.body);
+
+  const mismatch = await server.request('POST', '/api/send-bulk-messages', { ...body, messages: [{ number: '919800000003', message: 'Other' }] }, headers);
+  assert.equal(mismatch.status, 422);
+
+  const history = await server.request('GET', `/api/history/${FIRM}?number=919800000003`);
+  assert.equal(history.body.messages.length, 1);
+}));
+
+test('records a confirmation reply against the event message it answers', withServer({}, async (server) => {
+  const sent = await server.request('POST', '/api/send-event-messages', { firmId: FIRM, event, staff_list: [staff] });
+  const messageId = sent.body.results[0].message_id;
+  await waitForStatus(server, messageId, ['delivered', 'read']);
+
+  await server.simulate(FIRM, { action: 'incoming', from: STAFF_NUMBER, body: 'Yes, confirmed' });
+  const confirmed = await waitFor(async () => {
+    const message = await getMessage(server, messageId);
+    return message.confirmation && message;
+  }, { description: 'the confirmation to be recorded' });
+  assert.equal(confirmed.confirmation.status, 'accepted');
+
+  const inbox = await server.request('GET', `/api/inbox/${FIRM}`);
+  assert.equal(inbox.body.replies[0].correlation.message_id, messageId);
+  assert.equal(inbox.body.replies[0].subscription, null);
+}));
+
+test('a STOP reply suppresses the number and START lifts it again', withServer({}, async (server) => {
+  await server.simulate(FIRM, { action: 'incoming', from: STAFF_NUMBER, body: 'No problem, I will stop by the studio at 5' });
+  await waitFor(async () => (await server.request('GET', `/api/inbox/${FIRM}`)).body.count === 1, { description: 'the reply to be stored' });
+  assert.equal((await server.request('GET', `/api/suppression/${FIRM}/${STAFF_NUMBER}`)).body.suppressed, false);
+
+  await server.simulate(FIRM, { action: 'incoming', from: STAFF_NUMBER, body: 'STOP' });
+  const entry = await waitFor(async () => {
+    const { status, body } = await server.request('GET', `/api/suppression/${FIRM}/${STAFF_NUMBER}`);
+    return status === 200 && body.suppressed && body;
+  }, { description: 'the number to be suppressed' });
+  assert.equal(entry.entry.source, 'keyword');
+
+  const sent = await server.request('POST', '/api/send-task-messages', {
+    firmId: FIRM,
+    task: { id: 'task-1', title: 'Edit photos' },
+    staff_list: [staff]
+  });
+  assert.equal(sent.body.results[0].status, 'suppressed');
+  assert.deepEqual(sent.body.counts, { queued: 0, skipped: 0, suppressed: 1 });
+  assert.equal(sent.body.message, `0 task notifications queued for firm ${FIRM} (0 skipped, 1 suppressed)`);
+
+  await server.simulate(FIRM, { action: 'incoming', from: STAFF_NUMBER, body: 'START' });
+  await waitFor(async () => {
+    const { body } = await server.request('GET', `/api/suppression/${FIRM}/${STAFF_NUMBER}`);
+    return body.suppressed === false;
+  }, { description: 'the number to be unsuppressed' });
+}));
+
+test('sends calendar invites with their message without adding them to the media store', withServer({}, async (server) => {
+  const sent = await server.request('POST', '/api/send-task-messages', {
+    firmId: FIRM,
+    task: { id: 'task-1', title: 'Edit photos', due_date: '2030-01-20' },
+    staff_list: [staff],
+    calendar_invite: true
+  });
+  const messageId = sent.body.results[0].message_id;
+  await waitForStatus(server, messageId, ['read']);
+
+  const message = await getMessage(server, messageId);
+  assert.deepEqual(message.invite, { filename: 'edit-photos.ics' });
+
+  const download = await fetch(`${server.url}/api/messages/${messageId}/calendar`, { headers: { 'X-API-Key': 'test-admin-key' } });
+  assert.equal(download.status, 200);
+  assert.match(await download.text(), /^BEGIN:VCALENDAR/);
+
+  const { body } = await server.request('GET', `/api/mock/${FIRM}/sent`);
+  assert.equal(body.sent[0].filename, 'edit-photos.ics');
+  assert.deepEqual((await server.request('GET', `/api/media/${FIRM}`)).body.media, []);
+}));
+
+test('a consolidated assignment covers the same days in its message, invite and later updates', withServer({}, async (server) => {
+  const twoDayEvent = { ...event, total_days: 2 };
+  const send = (body) => server.request('POST', '/api/send-event-messages', {
+    firmId: FIRM, event: twoDayEvent, staff_list: [staff], consolidate: true, calendar_invite: true, ...body
+  });
+
+  const sent = await send({});
+  const messageId = sent.body.results[0].message_id;
+  const message = await getMessage(server, messageId);
+  assert.match(message.message, /\*DAY 1\* - 15 January 2030/);
+  assert.match(message.message, /\*DAY 2\* - 16 January 2030/);
+
+  const download = await fetch(`${server.url}/api/messages/${messageId}/calendar`, { headers: { 'X-API-Key': 'test-admin-key' } });
+  assert.equal((await download.text()).match(/BEGIN:VEVENT/g).length, 2);
+
+  // The staff member was already told about both days, so sending the same event again changes nothing
+  const repeated = await send({});
+  assert.equal(repeated.body.results[0].assignment_change, 'unchanged');
+  assert.deepEqual(repeated.body.counts, { queued: 0, skipped: 1, suppressed: 0 });
+}));
+
+test('rejects firm ids that are not strings or plain path segments before anything is stored', withServer({}, async (server) => {
+  const sent = await server.request('POST', '/api/send-bulk-messages', {
+    firmId: 12345,
+    attachment: { data: Buffer.from('hello').toString('base64'), mimetype: 'text/plain', filename: 'hello.txt' },
+    messages: [{ number: '919800000004', message: 'Hello' }]
+  });
+  assert.equal(sent.status, 400);
+  assert.equal(sent.body.error, 'firmId must be a non-empty string');
+
+  // Media is stored per firm directory, a firm id must not lead out of it
+  const escaping = await server.request('POST', '/api/send-bulk-messages', {
+    firmId: '../outside',
+    send_at: '2030-01-01T00:00:00.000Z',
+    attachment: { data: Buffer.from('hello').toString('base64'), mimetype: 'text/plain', filename: 'hello.txt' },
+    messages: [{ number: '919800000004', message: 'Hello' }]
+  });
+  assert.equal(escaping.status, 400);
+  assert.equal(fs.existsSync(path.join(server.dataDir, 'outside')), false);
+}));
+
+test('a send that fails unexpectedly responds with an error and frees its Idempotency-Key', withServer({}, async (server) => {
+  const body = {
+    firmId: FIRM,
+    attachment: { data: Buffer.from('hello').toString('base64'), mimetype: 'text/plain', filename: 'hello.txt' },
+    messages: [{ number: '919800000004', message: 'Hello' }]
+  };
+  const headers = { 'Idempotency-Key': 'key-2' };
+
+  // A file where the media directory should be makes storing the attachment fail, as a full or broken volume would
+  const mediaDir = path.join(server.dataDir, 'media');
+  fs.rmSync(mediaDir, { recursive: true, force: true });
+  fs.writeFileSync(mediaDir, '');
+
+  const first = await server.request('POST', '/api/send-bulk-messages', body, headers);
+  assert.equal(first.status, 500);
+  assert.equal(first.body.success, false);
+
+  // Not stuck as in progress (409), the retry runs again once the volume is back
+  fs.rmSync(mediaDir);
+  const retry = await server.request('POST', '/api/send-bulk-messages', body, headers);
+  assert.equal(retry.status, 200);
+  assert.equal(retry.headers.get('idempotent-replayed'), null);
+}));
+
+test('keeps inline attachments only while a message still needs them', withServer({}, async (server) => {
+  const firmMediaDir = path.join(server.dataDir, 'media', FIRM);
+  const storedFiles = () => (fs.existsSync(firmMediaDir) ? fs.readdirSync(firmMediaDir) : []);
+  const attachment = { data: Buffer.from('hello').toString('base64'), mimetype: 'text/plain', filename: 'hello.txt' };
+
+  // Nothing is written when no message ends up queued
+  const rejected = await server.request('POST', '/api/send-bulk-messages', { firmId: FIRM, attachment, messages: [{ number: '12', message: 'Invalid' }] });
+  assert.deepEqual(rejected.body.results.map(result => result.success), [false]);
+  assert.deepEqual(storedFiles(), []);
+
+  // A scheduled message holds on to its attachment, which is not listed with the firm's uploads
+  const scheduled = await server.request('POST', '/api/send-bulk-messages', {
+    firmId: FIRM, attachment, send_at: '2030-01-01T00:00:00.000Z', messages: [{ number: '919800000005', message: 'Later' }]
+  });
+  assert.equal(storedFiles().length, 1);
+  assert.deepEqual((await server.request('GET', `/api/media/${FIRM}`)).body.media, []);
+
+  // Shared by two messages, deleted once both are sent
+  const sent = await server.request('POST', '/api/send-bulk-messages', {
+    firmId: FIRM, attachment, messages: [{ number: '919800000006', message: 'One' }, { number: '919800000007', message: 'Two' }]
+  });
+  await Promise.all(sent.body.results.map(result => waitForStatus(server, result.message_id, ['read'])));
+  const { body } = await server.request('GET', `/api/mock/${FIRM}/sent`);
+  assert.deepEqual(body.sent.map(message => message.filename), ['hello.txt', 'hello.txt']);
+  assert.equal(storedFiles().length, 1);
+
+  await server.request('POST', '/api/scheduled/cancel', { firmId: FIRM, message_ids: [scheduled.body.results[0].message_id] });
+  assert.deepEqual(storedFiles(), []);
+}));
+
+test('matches a reply about a day to that day even when days were sent as strings', withServer({}, async (server) => {
+  const sent = await server.request('POST', '/api/send-event-messages', {
+    firmId: FIRM,
+    event: { ...event, total_days: 2 },
+    staff_list: [staff],
+    staff_assignments: [
+      { staff_id: staff.id, day_number: '1', day_date: '2030-01-15', role: 'Photographer' },
+      { staff_id: staff.id, day_number: '2', day_date: '2030-01-16', role: 'Photographer' }
+    ]
+  });
+  assert.deepEqual(sent.body.results.map(result => result.day_number), [1, 2]);
+  const [dayOne, dayTwo] = sent.body.results.map(result => result.message_id);
+  await waitForStatus(server, dayOne, ['read']);
+  await waitForStatus(server, dayTwo, ['read']);
+
+  await server.simulate(FIRM, { action: 'incoming', from: STAFF_NUMBER, body: "Can't make day 1" });
+  // Day 2 was sent last, the reply still goes to day 1
+  const declined = await waitFor(async () => {
+    const message = await getMessage(server, dayOne);
+    return message.confirmation && message;
+  }, { description: 'the day 1 confirmation to be recorded' });
+  assert.equal(declined.confirmation.status, 'declined');
+  assert.equal((await getMessage(server, dayTwo)).confirmation, undefined);
+}));
+
+test('rejects webhook secrets that are not strings', withServer({}, async (server) => {
+  for (const secret of [12345, { key: 'value' }, '']) {
+    const registered = await server.request('POST', '/api/webhooks', { firmId: FIRM, url: 'https://93.184.215.14/hooks', secret });
+    assert.equal(registered.status, 400);
+    assert.equal(registered.body.error, 'secret must be a non-empty string');
+  }
+  assert.equal((await server.request('GET', `/api/webhooks/${FIRM}`)).status, 404);
+}));
+
+test('refuses template names that clash with object properties', withServer({}, async (server) => {
+  for (const name of ['__proto__', 'constructor', 'toString']) {
+    const saved = await server.request('PUT', `/api/templates/${FIRM}/${name}`, { type: 'custom', body: 'Hello {{firm_name}}' });
+    assert.equal(saved.status, 400, name);
+    assert.equal((await server.request('GET', `/api/templates/${FIRM}/${name}`)).status, 404, name);
+  }
+}));
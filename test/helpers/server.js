@@ -0,0 +1,108 @@
+const { spawn } = require('child_process');
+const fs = require('fs');
+const net = require('net');
+const os = require('os');
+const path = require('path');
+
+const SERVER_PATH = path.join(__dirname, '..', '..', 'server.js');
+const ADMIN_KEY = 'test-admin-key';
+
+const getFreePort = () => new Promise((resolve, reject) => {
+  const probe = net.createServer();
+  probe.unref();
+  probe.on('error', reject);
+  probe.listen(0, () => {
+    const { port } = probe.address();
+    probe.close(() => resolve(port));
+  });
+});
+
+const sleep = (ms) => new Promise(resolve => setTimeout(resolve, ms));
+
+// Poll `check` until it returns something truthy, failing after `timeoutMs`
+const waitFor = async (check, { timeoutMs = 5000, intervalMs = 100, description = 'condition' } = {}) => {
+  const deadline = Date.now() + timeoutMs;
+  while (Date.now() < deadline) {
+    const result = await check();
+    if (result) return result;
+    await sleep(intervalMs);
+  }
+  throw new Error(`Timed out waiting for ${description}`);
+};
+
+// Start the service on a free port with the mock transport and its own data directory.
+// Resolves to { url, dataDir, request, connect, simulate, stop }.
+const startServer = async (env = {}) => {
+  const port = await getFreePort();
+  const workDir = fs.mkdtempSync(path.join(os.tmpdir(), 'wbs-test-'));
+  const dataDir = path.join(workDir, 'data');
+  const child = spawn(process.execPath, [SERVER_PATH], {
+    // Session directories are created in the working directory, keep them out of the repo
+    cwd: workDir,
+    env: {
+      ...process.env,
+      PORT: String(port),
+      DATA_DIR: dataDir,
+      ADMIN_API_KEY: ADMIN_KEY,
+      ENABLE_MOCK_TRANSPORT: 'true',
+      DEFAULT_TRANSPORT: 'mock',
+      MOCK_TRANSPORT_STEP_DELAY_MS: '20',
+      MOCK_TRANSPORT_ACK_DELAY_MS: '50',
+      ...env
+    },
+    stdio: ['ignore', 'pipe', 'pipe']
+  });
+  let output = '';
+  child.stdout.on('data', chunk => { output += chunk; });
+  child.stderr.on('data', chunk => { output += chunk; });
+
+  const url = `http://127.0.0.1:${port}`;
+
+  const request = async (method, route, body, headers = {}) => {
+    const response = await fetch(`${url}${route}`, {
+      method,
+      headers: { 'X-API-Key': ADMIN_KEY, 'Content-Type': 'application/json', ...headers },
+      body: body === undefined ? undefined : JSON.stringify(body)
+    });
+    return { status: response.status, headers: response.headers, body: await response.json() };
+  };
+
+  const stop = async () => {
+    if (child.exitCode === null) {
+      const exited = new Promise(resolve => child.once('exit', resolve));
+      child.kill();
+      await exited;
+    }
+    fs.rmSync(workDir, { recursive: true, force: true });
+  };
+
+  try {
+    await waitFor(async () => {
+      if (child.exitCode !== null) throw new Error(`Server exited early:\n${output}`);
+      try {
+        return (await fetch(`${url}/health`)).ok;
+      } catch (error) {
+        return false;
+      }
+    }, { description: 'the server to start' });
+  } catch (error) {
+    await stop();
+    throw error;
+  }
+
+  // Connect a firm through the mock transport and wait until it is ready, with pacing switched off
+  const connect = async (firmId) => {
+    await request('POST', '/api/connect', { firmId, sessionId: firmId });
+    await waitFor(async () => (await request('GET', `/api/status/${firmId}`)).body.status === 'ready', {
+      intervalMs: 200,
+      description: `firm ${firmId} to be ready`
+    });
+    await request('PUT', `/api/settings/${firmId}`, { throttle: { min_delay_ms: 0, max_delay_ms: 0 } });
+  };
+
+  const simulate = (firmId, body) => request('POST', `/api/mock/${firmId}/simulate`, body);
+
+  return { url, dataDir, request, connect, simulate, stop, getOutput: () => output };
+};
+
+module.exports = { startServer, waitFor, sleep };
@@ -0,0 +1,56 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+// Stores load from DATA_DIR when first required
+const dataDir = fs.mkdtempSync(path.join(os.tmpdir(), 'wbs-history-'));
+process.env.DATA_DIR = dataDir;
+process.env.HISTORY_MAX_ENTRIES = '10';
+
+// A fresh copy of the module, as after a restart
+const loadHistory = () => {
+  delete require.cache[require.resolve('../lib/history')];
+  return require('../lib/history');
+};
+
+const readLog = (firmId) => fs.readFileSync(path.join(dataDir, 'history', `${firmId}.jsonl`), 'utf8').split('\n').filter(Boolean);
+
+const message = (id, status, updatedAt = new Date().toISOString()) => ({
+  id, number: '919800000001', message: id, status, timestamp: updatedAt, updated_at: updatedAt
+});
+
+test.after(() => fs.rmSync(dataDir, { recursive: true, force: true }));
+
+test('appends each change and replays the latest state after a restart', () => {
+  const history = loadHistory();
+  history.record('firm-a', [message('m1', 'queued'), message('m2', 'queued')]);
+  history.record('firm-a', [message('m1', 'sent')]);
+  assert.equal(readLog('firm-a').length, 3);
+
+  const reloaded = loadHistory();
+  assert.deepEqual(reloaded.search('firm-a').map(entry => [entry.id, entry.status]), [['m2', 'queued'], ['m1', 'sent']]);
+  assert.deepEqual(reloaded.getFirmIds(), ['firm-a']);
+});
+
+test('drops the oldest finished records beyond the maximum, keeping unsent ones', () => {
+  const history = loadHistory();
+  history.record('firm-b', [message('waiting', 'queued')]);
+  for (let i = 1; i <= 10; i++) history.record('firm-b', [message(`done-${i}`, 'read')]);
+
+  const ids = history.search('firm-b').map(entry => entry.id).reverse();
+  assert.deepEqual(ids, ['waiting', 'done-3', 'done-4', 'done-5', 'done-6', 'done-7', 'done-8', 'done-9', 'done-10']);
+  assert.equal(readLog('firm-b').length, ids.length);
+  assert.deepEqual(loadHistory().search('firm-b').map(entry => entry.id).reverse(), ids);
+});
+
+test('purge rewrites the log without the purged records', () => {
+  const history = loadHistory();
+  history.record('firm-c', [message('old', 'sent', '2020-01-01T00:00:00.000Z'), message('new', 'sent')]);
+  history.record('firm-c', [message('new', 'read')]);
+
+  assert.equal(history.purge('firm-c', '2021-01-01T00:00:00.000Z'), 1);
+  assert.deepEqual(readLog('firm-c').map(line => JSON.parse(line).id), ['new']);
+  assert.deepEqual(loadHistory().search('firm-c').map(entry => [entry.id, entry.status]), [['new', 'read']]);
+});
@@ -0,0 +1,59 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+// Stores load from DATA_DIR when first required
+const dataDir = fs.mkdtempSync(path.join(os.tmpdir(), 'wbs-inbox-'));
+process.env.DATA_DIR = dataDir;
+const inbox = require('../lib/inbox');
+
+test.after(() => fs.rmSync(dataDir, { recursive: true, force: true }));
+
+const FIRM = 'firm-test';
+
+test('reads short answers as confirmations', () => {
+  assert.equal(inbox.parseConfirmation(FIRM, 'Yes'), 'accepted');
+  assert.equal(inbox.parseConfirmation(FIRM, 'Confirmed!'), 'accepted');
+  assert.equal(inbox.parseConfirmation(FIRM, 'Yes, I will be there'), 'accepted');
+  assert.equal(inbox.parseConfirmation(FIRM, '👍'), 'accepted');
+  assert.equal(inbox.parseConfirmation(FIRM, 'Theek hai, aa jaunga'), 'accepted');
+  assert.equal(inbox.parseConfirmation(FIRM, 'No, sorry'), 'declined');
+  assert.equal(inbox.parseConfirmation(FIRM, "Can't make it"), 'declined');
+  assert.equal(inbox.parseConfirmation(FIRM, 'Not available'), 'declined');
+});
+
+test('does not read keywords inside conversational replies as answers', () => {
+  assert.equal(inbox.parseConfirmation(FIRM, 'No problem, see you there'), 'accepted');
+  assert.equal(inbox.parseConfirmation(FIRM, 'Is there parking? I have no car'), null);
+  assert.equal(inbox.parseConfirmation(FIRM, 'ha ha'), null);
+  assert.equal(inbox.parseConfirmation(FIRM, 'Busy right now, will call you'), null);
+  assert.equal(inbox.parseConfirmation(FIRM, 'What time do we start?'), null);
+});
+
+test('reports replies with both kinds of keyword as unknown', () => {
+  assert.equal(inbox.parseConfirmation(FIRM, "Ok but can't make it"), 'unknown');
+  assert.equal(inbox.parseConfirmation(FIRM, 'No problem, but I cannot come on day 2'), 'unknown');
+});
+
+test('treats opt-out and opt-in keywords as commands only when they are the whole reply', () => {
+  assert.equal(inbox.parseSubscription(FIRM, 'STOP'), 'opt_out');
+  assert.equal(inbox.parseSubscription(FIRM, ' Stop! '), 'opt_out');
+  assert.equal(inbox.parseSubscription(FIRM, 'opt   out.'), 'opt_out');
+  assert.equal(inbox.parseSubscription(FIRM, 'Start'), 'opt_in');
+  assert.equal(inbox.parseSubscription(FIRM, 'No problem, I will stop by the studio at 5'), null);
+  assert.equal(inbox.parseSubscription(FIRM, 'Please stop sending these'), null);
+  assert.equal(inbox.parseSubscription(FIRM, 'What time do we start tomorrow?'), null);
+  assert.equal(inbox.parseSubscription(FIRM, 'stop, start'), null);
+});
+
+test('reads a reply as a confirmation before looking for subscription changes', () => {
+  const reply = inbox.recordInbound(FIRM, { waMessageId: 'wa-1', from: '919800000011', body: 'No problem, I will stop by the studio at 5' });
+  assert.equal(reply.confirmation, 'accepted');
+  assert.equal(reply.subscription, null);
+
+  const optOut = inbox.recordInbound(FIRM, { waMessageId: 'wa-2', from: '919800000011', body: 'STOP' });
+  assert.equal(optOut.confirmation, null);
+  assert.equal(optOut.subscription, 'opt_out');
+});
@@ -0,0 +1,25 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+// Seed the persisted queue before the store loads it, including lanes written by older versions
+const dataDir = fs.mkdtempSync(path.join(os.tmpdir(), 'wbs-queue-'));
+process.env.DATA_DIR = dataDir;
+const FIRM = 'firm-test';
+const seeded = (id, priority) => ({ id, number: '919800000001', message: id, status: 'queued', priority, timestamp: new Date().toISOString() });
+fs.writeFileSync(path.join(dataDir, 'queue.json'), JSON.stringify({
+  messages: {
+    [FIRM]: [seeded('bulk-1', 'bulk'), seeded('legacy-1', 'high'), seeded('none-1', undefined), seeded('urgent-1', 'urgent'), seeded('normal-1', 'normal')]
+  }
+}));
+const queue = require('../lib/queue');
+
+test.after(() => fs.rmSync(dataDir, { recursive: true, force: true }));
+
+test('sends by lane, treating unknown and missing lanes as normal', () => {
+  assert.deepEqual(queue.getDispatchOrder(FIRM).map(message => message.id), ['urgent-1', 'legacy-1', 'none-1', 'normal-1', 'bulk-1']);
+  assert.equal(queue.getPriority({ priority: 'high' }), 'normal');
+  assert.equal(queue.nextQueued(FIRM).id, 'urgent-1');
+});
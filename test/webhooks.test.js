@@ -0,0 +1,80 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const dns = require('dns');
+const fs = require('fs');
+const net = require('net');
+const os = require('os');
+const path = require('path');
+
+// Stores load from DATA_DIR when first required
+const dataDir = fs.mkdtempSync(path.join(os.tmpdir(), 'wbs-webhooks-'));
+process.env.DATA_DIR = dataDir;
+delete process.env.WEBHOOK_ALLOW_HTTP;
+process.env.WEBHOOK_MAX_ATTEMPTS = '1';
+const webhooks = require('../lib/webhooks');
+
+test.after(() => fs.rmSync(dataDir, { recursive: true, force: true }));
+
+test('accepts https URLs that resolve to public addresses', async () => {
+  assert.deepEqual(await webhooks.checkUrl('https://93.184.215.14/hooks'), {});
+  assert.deepEqual(await webhooks.checkUrl('https://[2606:4700::1111]/hooks'), {});
+});
+
+test('rejects plain http unless it is explicitly allowed', async () => {
+  assert.equal((await webhooks.checkUrl('http://93.184.215.14/hooks')).error, 'url must be an https URL');
+  assert.equal((await webhooks.checkUrl('ftp://93.184.215.14/hooks')).error, 'url must be an https URL');
+  assert.equal((await webhooks.checkUrl('not a url')).error, 'url must be a valid URL');
+});
+
+test('rejects loopback, private, link-local and metadata addresses', async () => {
+  const internal = [
+    'https://localhost/hooks',
+    'https://127.0.0.1/hooks',
+    'https://10.1.2.3/hooks',
+    'https://172.20.0.5/hooks',
+    'https://192.168.1.10/hooks',
+    'https://169.254.169.254/latest/meta-data',
+    'https://0.0.0.0/hooks',
+    'https://[::1]/hooks',
+    'https://[fd00:ec2::254]/hooks',
+    'https://[fe80::1]/hooks',
+    'https://[::ffff:127.0.0.1]/hooks'
+  ];
+  for (const url of internal) {
+    assert.equal((await webhooks.checkUrl(url)).error, 'url must point to a public address', url);
+  }
+});
+
+test('connects only to the address that was checked, even when DNS changes in between', async (t) => {
+  // Something listening on loopback that a rebinding host would like to reach
+  let connections = 0;
+  const target = net.createServer(socket => {
+    connections++;
+    socket.destroy();
+  });
+  await new Promise(resolve => target.listen(0, '127.0.0.1', resolve));
+  t.after(() => target.close());
+
+  // The check sees a public address, the connection would be made to loopback
+  t.mock.method(dns.promises, 'lookup', async () => [{ address: '93.184.215.14', family: 4 }]);
+  t.mock.method(dns, 'lookup', (hostname, options, callback) => {
+    if (options && options.all) return callback(null, [{ address: '127.0.0.1', family: 4 }]);
+    callback(null, '127.0.0.1', 4);
+  });
+
+  const url = `https://rebind.example:${target.address().port}/hooks`;
+  assert.deepEqual(await webhooks.checkUrl(url), {});
+  webhooks.setWebhook('firm-rebind', { url, events: ['message.status'] });
+  webhooks.emit('firm-rebind', 'message.status', { message_id: 'm1', status: 'sent' });
+
+  const deadline = Date.now() + 5000;
+  let delivery;
+  while (Date.now() < deadline) {
+    [delivery] = webhooks.getDeliveries('firm-rebind');
+    if (delivery.status !== 'pending') break;
+    await new Promise(resolve => setTimeout(resolve, 50));
+  }
+  assert.equal(delivery.status, 'failed');
+  assert.match(delivery.error, /non-public address/);
+  assert.equal(connections, 0);
+});